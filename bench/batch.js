@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+/**
+ * Benchmark of the batch conversions against the scalar methods.
+ *
+ *   npm run bench
+ */
+import { CalendarTibetan } from '../src/index.js'
+
+const COUNT = 200000
+
+function time (label, fn) {
+  const start = process.hrtime.bigint()
+  fn()
+  const ms = Number(process.hrtime.bigint() - start) / 1e6
+  console.log(`${label.padEnd(24)} ${ms.toFixed(0).padStart(6)} ms`)
+}
+
+// records on the days of 1900-1999
+const jds = Array.from({ length: COUNT }, (_, i) => 2415021 + (i * 37) % 36524 + 0.5)
+const dates = CalendarTibetan.fromJDMany(jds)
+const cal = new CalendarTibetan()
+
+console.log(`${COUNT} dates`)
+time('fromJD', () => jds.forEach((jd) => cal.fromJD(jd).get()))
+CalendarTibetan.clearCache()
+time('fromJDMany', () => CalendarTibetan.fromJDMany(jds))
+time('toJDN', () => dates.forEach((date) => cal.set(...date).toJDN()))
+CalendarTibetan.clearCache()
+time('toJDNMany', () => CalendarTibetan.toJDNMany(dates))
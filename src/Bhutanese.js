@@ -1,8 +1,9 @@
 import CalendarTibetan from './Tibetan.js'
+import { FESTIVALS } from './festivals.js'
 
 export default class CalendarBhutanese extends CalendarTibetan {
-  constructor (cycle, year, month, leapMonth, day, leapDay) {
-    super(cycle, year, month, leapMonth, day, leapDay)
+  constructor (cycle, year, month, leapMonth, day, leapDay, options) {
+    super()
 
     this._M0 = 2361807 + 52 / 707
     this._S0 = 1 + 1 / 67
@@ -13,5 +14,10 @@ export default class CalendarBhutanese extends CalendarTibetan {
 
     // Timezone offset for Bhutan Time (BTT)
     this._JD_OFFSET_STD_TIME = 6 / 24
+
+    this._FESTIVALS = FESTIVALS.bhutanese
+    this._VARIANT = 'bhutanese'
+
+    this._init(cycle, year, month, leapMonth, day, leapDay, options)
   }
 }
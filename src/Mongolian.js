@@ -1,8 +1,9 @@
 import CalendarTibetan from './Tibetan.js'
+import { FESTIVALS } from './festivals.js'
 
 export default class CalendarMongolian extends CalendarTibetan {
-  constructor (cycle, year, month, leapMonth, day, leapDay) {
-    super(cycle, year, month, leapMonth, day, leapDay)
+  constructor (cycle, year, month, leapMonth, day, leapDay, options) {
+    super()
 
     this._M0 = 2359237 + 2603 / 2828
     this._S0 = 397 / 402
@@ -12,5 +13,11 @@ export default class CalendarMongolian extends CalendarTibetan {
 
     // Timezone offset for Ulaanbaatar Time (ULAT)
     this._JD_OFFSET_STD_TIME = 8 / 24
+
+    this._FESTIVALS = FESTIVALS.mongolian
+    this._MONTH_NAMING = 'season'
+    this._VARIANT = 'mongolian'
+
+    this._init(cycle, year, month, leapMonth, day, leapDay, options)
   }
 }
@@ -16,12 +16,75 @@
  * detailed understanding of the underlying mathematics and astronomical models.
  */
 import { julian } from 'astronomia'
+import { mod } from './math.js'
+import {
+  LOCALES, ELEMENTS, ANIMALS, GENDERS, MONGOLIAN_COLOURS, YEAR_NAMES,
+  MONTH_NAMES, INDIAN_MONTH_NAMES, SEASON_MONTH_NAMES, ANIMAL_MONTH_SUFFIXES, LEAP_MONTH_PATTERNS,
+  normalizeName, checkLocale
+} from './names.js'
+import { formatDate, parseDate } from './format.js'
+import { getPanchanga } from './panchanga.js'
+import { getMoonPhases, getMoonPhasesOfDays } from './moonphase.js'
+import { FESTIVALS, getFestivals } from './festivals.js'
+import { getDayQuality } from './quality.js'
+import { toICS } from './ics.js'
+import { toJSONValue, fromJSONValue, formatCanonical, parseCanonical } from './serialize.js'
+import { checkTimeZone, checkDayStart, getTimeZoneOffset, localToUTC } from './timezone.js'
 
 // prevent rounding errors
 function toFixed (val, e) {
   return parseFloat(val.toFixed(e), 10)
 }
 
+// JDN of a local JD, rounding 0.00000005day = 0.0043sec; same as
+// `Math.trunc(toFixed(jd, 7))` without the conversion to a string
+function jdnFromJdLocal (jd) {
+  return Math.trunc(Math.round(jd * 1e7) / 1e7)
+}
+
+const DISAMBIGUATIONS = ['earlier', 'later', 'reject']
+
+const MONTH_NAMINGS = ['number', 'indian', 'season', 'animal']
+
+// cached month tables of each calendar class, see `_getMonthTable()`;
+// about two centuries of months (a few MB) per class, see `clearCache()`
+const monthTables = new WeakMap()
+const MONTH_TABLE_SIZE = 2400
+
+// dbugs in a revolution: 27 lunar mansions, 60 chu tshod, 60 chu srang, 6 dbugs
+const DBUGS_PER_REVOLUTION = 27 * 60 * 60 * 6
+
+/**
+ * split a longitude into lunar mansions (rgyu skar), chu tshod, chu srang (pala)
+ * and dbugs (breaths)
+ *
+ * @param {Number} longitude - fraction of a revolution, 0 <= longitude < 1
+ * @return {Object} { longitude, mansion, chuTshod, chuSrang, dbugs, fraction }
+ *   where `fraction` is the remaining part of a dbugs
+ */
+function toMansionUnits (longitude) {
+  const total = toFixed(longitude * DBUGS_PER_REVOLUTION, 6) % DBUGS_PER_REVOLUTION
+  const dbugs = Math.floor(total)
+  return {
+    longitude,
+    mansion: Math.floor(dbugs / 21600),
+    chuTshod: Math.floor(dbugs / 360) % 60,
+    chuSrang: Math.floor(dbugs / 6) % 60,
+    dbugs: dbugs % 6,
+    fraction: toFixed(total - dbugs, 6)
+  }
+}
+
+// `CalendarTibetan` or a class derived from it
+function isCalendarClass (val) {
+  return typeof val === 'function' && (val === CalendarTibetan || val.prototype instanceof CalendarTibetan)
+}
+
+// options object given in place of the date parts
+function isOptions (val) {
+  return val !== null && typeof val === 'object' && !Array.isArray(val) && !(val instanceof CalendarTibetan)
+}
+
 export default class CalendarTibetan {
   /**
    * constructor
@@ -32,8 +95,17 @@ export default class CalendarTibetan {
    * @param {Boolean} leapMonth - `true` if leap month
    * @param {Number} day - tibetan day
    * @param {Boolean} leapDay - `true` if leap day
+   * @param {Object} [options] - may also be given as only argument, or after an `{Array}` or instance
+   * @param {Boolean} [options.strict] - if `true`, setting an invalid date throws a `RangeError`
+   * @param {String} [options.disambiguation] - default for `toJDN()`, `toGregorian()` and `toDate()`
+   * @param {String|Number} [options.timeZone] - default for `fromJD()`, `fromDate()` and `toDate()`:
+   *   IANA timezone, UTC offset as `'+05:30'` or hours east of UTC;
+   *   defaults to the standard time of the calendar variant; for the local mean
+   *   time of an observer give the longitude east divided by 15
+   * @param {String|Number} [options.dayStart] - default for `fromJD()`, `fromDate()` and `toDate()`:
+   *   `'daybreak'` (5:00), `'midnight'` or local hour at which the day begins; defaults to daybreak
    */
-  constructor (cycle, year, month, leapMonth, day, leapDay) {
+  constructor (cycle, year, month, leapMonth, day, leapDay, options) {
     // Epoch constants for Phugpa E806 (Year 806, Month 3)
     this._M0 = 2015501 + 4783 / 5656
     this._M1 = 167025 / 5656
@@ -66,7 +138,36 @@ export default class CalendarTibetan {
     this._moon_tab_values = [0, 5, 10, 15, 19, 22, 24, 25] // for 0..7
     this._sun_tab_values = [0, 6, 10, 11] // for 0..3
 
-    this.set(cycle, year, month, leapMonth, day, leapDay)
+    // annual festivals of this variant
+    this._FESTIVALS = FESTIVALS.phugpa
+    // default naming of the months, see `getMonthName()`
+    this._MONTH_NAMING = 'number'
+    // name of the variant in `toJSON()` and `toString()`
+    this._VARIANT = 'phugpa'
+
+    this._init(cycle, year, month, leapMonth, day, leapDay, options)
+  }
+
+  /**
+   * apply the options and set the initial date; calendar variants call this
+   * again after overriding the epoch constants
+   *
+   * @private
+   */
+  _init (cycle, year, month, leapMonth, day, leapDay, options) {
+    if (isOptions(cycle)) {
+      options = cycle
+      cycle = undefined
+    } else if ((Array.isArray(cycle) || cycle instanceof CalendarTibetan) && isOptions(year)) {
+      options = year
+    }
+    this._options = Object.assign({ strict: false, disambiguation: 'later' }, options)
+    this._getLocalTime()
+    // without date parts the date is left unset, also in strict mode
+    if ([cycle, year, month, leapMonth, day, leapDay].every((part) => part === undefined)) {
+      return this._set()
+    }
+    return this.set(cycle, year, month, leapMonth, day, leapDay)
   }
 
   /**
@@ -78,8 +179,28 @@ export default class CalendarTibetan {
    * @param {Boolean} leapMonth - `true` if leap month
    * @param {Number} day - tibetan day
    * @param {Boolean} leapDay - `true` if leap day
+   * @throws {RangeError} if the option `strict` is set and the date is invalid;
+   *   the date is then left unchanged
    */
   set (cycle, year, month, leapMonth, day, leapDay) {
+    const previous = this.get()
+    this._set(cycle, year, month, leapMonth, day, leapDay)
+    if (this._options && this._options.strict) {
+      const error = this._getValidationError()
+      if (error) {
+        this._set(previous)
+        throw new RangeError(error)
+      }
+    }
+    return this
+  }
+
+  /**
+   * set the date parts without validation
+   *
+   * @private
+   */
+  _set (cycle, year, month, leapMonth, day, leapDay) {
     if (cycle instanceof CalendarTibetan) {
       this.cycle = cycle.cycle
       this.year = cycle.year
@@ -105,6 +226,50 @@ export default class CalendarTibetan {
     return this
   }
 
+  /**
+   * check the date parts for a date which does not exist
+   *
+   * @private
+   * @param {Number} [gyear] - (int) gregorian year; defaults to the current year
+   * @return {String|null} description of the error; `null` if the date is valid
+   */
+  _getValidationError (gyear) {
+    const date = () => [this.cycle, this.year, this.month].join('-') + (this.leapMonth ? ' (leap)' : '')
+    const ranges = [['cycle', -Infinity, Infinity], ['year', 1, 60], ['month', 1, 12], ['day', 1, 30]]
+    for (const [name, min, max] of ranges) {
+      const value = this[name]
+      if (!Number.isInteger(value)) {
+        return `${name} must be an integer, got ${value}`
+      }
+      if (value < min || value > max) {
+        return `${name} ${value} is out of range ${min}-${max}`
+      }
+    }
+    if (this.leapMonth && !this._isLeapMonthFromYearAndMonth(gyear || this._getGregorianYear(), this.month)) {
+      return `month ${this.month} of ${this.cycle}-${this.year} is not doubled; leapMonth must be false`
+    }
+    const n = this._getTrueMonthCount(gyear)
+    const jdn = Math.floor(this._getTrueDateOfDay(n, this.day))
+    const prevJdn = Math.floor(this._getTrueDateOfDay(n, this.day - 1))
+    if (jdn === prevJdn) {
+      return `day ${this.day} of ${date()} is skipped`
+    }
+    if (this.leapDay && jdn !== prevJdn + 2) {
+      return `day ${this.day} of ${date()} is not repeated; leapDay must be false`
+    }
+    return null
+  }
+
+  /**
+   * check if the date exists: all parts are in range, a leap month is doubled
+   * in this year, the day is not skipped and a leap day is repeated
+   *
+   * @return {Boolean}
+   */
+  isValid () {
+    return this._getValidationError() === null
+  }
+
   /**
    * Returns Tibetan date components as an array.
    * @returns {Array<Number|Boolean>} [cycle, year, month, leapMonth, day, leapDay]
@@ -113,11 +278,357 @@ export default class CalendarTibetan {
     return [this.cycle, this.year, this.month, this.leapMonth, this.day, this.leapDay]
   }
 
-  _jdToJdLocal (jd) {
-    return jd + this._JD_OFFSET_STD_TIME + this._JD_OFFSET_DAY_START
+  /**
+   * format the tibetan date
+   *
+   * Tokens: `C` cycle, `Y`/`YY` year of cycle, `YYYY` Gregorian year,
+   * `M`/`MM` month, `MMMM` month name of `getMonthName()`, `L` leap month marker,
+   * `D`/`DD` day, `l` leap day marker, `N` sexagenary year name,
+   * `NNNN` rab byung year name, `EEEE` day of the week, `[...]` literal text
+   *
+   * @param {String} pattern - e.g. `'C-YY-MM-DD'`
+   * @param {String} [locale] - one of `en`, `wylie`, `bo`, `dz`, `mn`; defaults to `en`
+   * @return {String}
+   */
+  format (pattern, locale) {
+    return formatDate(this, pattern, locale)
   }
-  _jdLocalToJd (jdLocal) {
-    return jdLocal - this._JD_OFFSET_STD_TIME - this._JD_OFFSET_DAY_START
+
+  /**
+   * parse a tibetan date formatted with `format()`
+   *
+   * @param {String} str - formatted date
+   * @param {String} pattern - pattern used for formatting
+   * @param {String} [locale] - locale used for formatting; defaults to `en`
+   * @throws {RangeError} if `str` does not match `pattern`
+   * @return {CalendarTibetan} new calendar object
+   */
+  static parse (str, pattern, locale) {
+    return parseDate(new this(), str, pattern, locale)
+  }
+
+  /**
+   * JSON representation of the date, e.g. for `JSON.stringify()`
+   *
+   * @return {Object|null} { calendar, cycle, year, month, leapMonth, day, leapDay } where
+   *   `calendar` is the name of the variant: `phugpa`, `mongolian` or `bhutanese`;
+   *   `null` if a date part is not an integer in range, e.g. before the date is set
+   */
+  toJSON () {
+    return toJSONValue(this._VARIANT, this.get())
+  }
+
+  /**
+   * canonical string of the date: `variant:cycle-YY-MM[L]-DD[L]`, where `L`
+   * marks a leap month or a leap day
+   *
+   * @return {String} e.g. `phugpa:17-39-03L-19`, or `'Invalid Tibetan date'` if a
+   *   date part is not an integer in range, e.g. before the date is set
+   */
+  toString () {
+    return formatCanonical(this._VARIANT, this.get())
+  }
+
+  /**
+   * create a calendar object of this class from a date of the variant
+   *
+   * @private
+   * @param {String} variant - name of the variant of the date
+   * @param {Array<Number|Boolean>} parts - [cycle, year, month, leapMonth, day, leapDay]
+   * @param {Object} [options] - see constructor
+   * @throws {RangeError} if the variant is not the variant of this class
+   * @return {CalendarTibetan} new calendar object
+   */
+  static _fromVariant (variant, parts, options) {
+    const cal = new this(options)
+    if (variant !== cal._VARIANT) {
+      throw new RangeError(`${variant} date can not be read by ${this.name}, which reads ${cal._VARIANT} dates`)
+    }
+    return cal.set(parts)
+  }
+
+  /**
+   * create a calendar object from the result of `toJSON()`
+   *
+   * @param {Object} json - { calendar, cycle, year, month, leapMonth, day, leapDay }
+   * @param {Object} [options] - see constructor
+   * @throws {TypeError|RangeError} if `json` is invalid or of another variant
+   * @return {CalendarTibetan} new calendar object
+   */
+  static fromJSON (json, options) {
+    const { variant, parts } = fromJSONValue(json)
+    return this._fromVariant(variant, parts, options)
+  }
+
+  /**
+   * create a calendar object from the result of `toString()`
+   *
+   * @param {String} str - canonical string, e.g. `phugpa:17-39-03L-19`
+   * @param {Object} [options] - see constructor
+   * @throws {RangeError} if `str` is not canonical or of another variant
+   * @return {CalendarTibetan} new calendar object
+   */
+  static fromString (str, options) {
+    const { variant, parts } = parseCanonical(str)
+    return this._fromVariant(variant, parts, options)
+  }
+
+  /**
+   * iterate over the civil days between two dates, both included
+   *
+   * The lunar days are advanced incrementally within each month instead of
+   * converting every day from scratch.
+   *
+   * @param {CalendarTibetan|Date|Object|Number} start - calendar object, `Date`,
+   *   gregorian date `{ year, month, day }` or JDN
+   * @param {CalendarTibetan|Date|Object|Number} end - same as `start`
+   * @param {Object} [options] - options of the yielded calendar objects, see constructor;
+   *   `timeZone` and `dayStart` also apply to `Date` arguments
+   * @throws {TypeError} on an unknown type of `start` or `end`
+   * @yields {CalendarTibetan} a new calendar object for each civil day
+   */
+  static * range (start, end, options) {
+    const cal = new this(options)
+    const first = cal._toCivilJDN(start)
+    const last = cal._toCivilJDN(end)
+    if (first > last) {
+      return
+    }
+    cal._from(first)
+    let n = cal._getTrueMonthCount()
+    let trueDates = cal._getTrueDatesOfMonth(n)
+    let month = cal._getTibetanMonthFromTrueMonthCount(n)
+    let d = 1
+    for (let jdn = first; jdn <= last; jdn++) {
+      while (trueDates[d] <= jdn) {
+        if (++d > 30) {
+          n++
+          trueDates = cal._getTrueDatesOfMonth(n)
+          month = cal._getTibetanMonthFromTrueMonthCount(n)
+          d = 1
+        }
+      }
+      yield new this(month.cycle, month.year, month.month, month.leapMonth, d, trueDates[d] > jdn + 1, options)
+    }
+  }
+
+  /**
+   * convert many tibetan dates to JDN
+   *
+   * Uses cached month tables; the results are identical to `toJDN()`.
+   * Calendar objects of another variant are converted with `convertTo()` first.
+   *
+   * @param {Array<CalendarTibetan|Array>} dates - calendar objects or
+   *   `[cycle, year, month, leapMonth, day, leapDay]` of this variant
+   * @param {Object} [options] - see `toJDN()`
+   * @throws {RangeError} like `toJDN()`
+   * @return {Array<Number>} JDN
+   */
+  static toJDNMany (dates, options) {
+    const cal = new this(options)
+    const disambiguation = cal._getDisambiguation(options)
+    return dates.map((date) => {
+      if (date instanceof CalendarTibetan && date._VARIANT !== cal._VARIANT) {
+        date = date.convertTo(this, options)
+      }
+      cal._set(date)
+      const { day } = cal
+      if (disambiguation === 'reject' || !Number.isInteger(day) || day < 1 || day > 30) {
+        return cal.toJDN(options)
+      }
+      const { trueDates } = cal._getMonthTable(cal._getTrueMonthCount())
+      return cal._getJDNOfDay(trueDates[day], trueDates[day - 1], disambiguation)
+    })
+  }
+
+  /**
+   * convert many JD to tibetan dates
+   *
+   * Uses cached month tables; the results are identical to `fromJD(jd).get()`.
+   *
+   * @param {Array<Number>} jds - dates in JD
+   * @param {Object} [options] - `{ timeZone, dayStart }`, see constructor
+   * @return {Array<Array>} `[cycle, year, month, leapMonth, day, leapDay]` for each JD
+   */
+  static fromJDMany (jds, options) {
+    const cal = new this(options)
+    const local = cal._getLocalTime(options)
+    const result = new Array(jds.length)
+    let table
+    for (let i = 0; i < jds.length; i++) {
+      const jdn = jdnFromJdLocal(cal._jdToJdLocal(jds[i], options, local))
+      if (!table || jdn < table.first || jdn > table.last) {
+        table = cal._getMonthTableOfJDN(jdn)
+      }
+      const { cycle, year, month, leapMonth } = table.month
+      const [day, leapDay] = table.days[jdn - table.first]
+      result[i] = [cycle, year, month, leapMonth, day, leapDay]
+    }
+    return result
+  }
+
+  /**
+   * drop the cached month tables of this calendar class, which `toJDNMany()`
+   * and `fromJDMany()` keep for up to about two centuries of months
+   */
+  static clearCache () {
+    monthTables.delete(this)
+  }
+
+  /**
+   * get the ends of the lunar days, the labels of the civil days and the
+   * tibetan month of a true month count, cached for each calendar class
+   *
+   * @private
+   * @param {Number} trueMonthCount (n)
+   * @return {Object} { trueMonthCount, trueDates, first, last, days, month } - `first` and
+   *   `last` as JDN, `days` as `[day, leapDay]` for each civil day from `first`
+   */
+  _getMonthTable (trueMonthCount) {
+    let cache = monthTables.get(this.constructor)
+    if (!cache) {
+      cache = new Map()
+      monthTables.set(this.constructor, cache)
+    }
+    let table = cache.get(trueMonthCount)
+    if (!table) {
+      const trueDates = this._getTrueDatesOfMonth(trueMonthCount)
+      const first = Math.floor(trueDates[0]) + 1
+      const last = Math.floor(trueDates[30])
+      const days = []
+      let d = 1
+      for (let jdn = first; jdn <= last; jdn++) {
+        while (trueDates[d] <= jdn) {
+          d++
+        }
+        days.push([d, trueDates[d] > jdn + 1])
+      }
+      table = {
+        trueMonthCount,
+        trueDates,
+        first,
+        last,
+        days,
+        month: this._getTibetanMonthFromTrueMonthCount(trueMonthCount)
+      }
+      if (cache.size >= MONTH_TABLE_SIZE) {
+        // drop the oldest entry
+        cache.delete(cache.keys().next().value)
+      }
+      cache.set(trueMonthCount, table)
+    }
+    return table
+  }
+
+  /**
+   * get the month table of the month which contains a civil day
+   *
+   * @private
+   * @param {Number} jdn - (int) JDN
+   * @return {Object} see `_getMonthTable()`
+   */
+  _getMonthTableOfJDN (jdn) {
+    let n = Math.floor((jdn - this._M0) / this._M1)
+    let table = this._getMonthTable(n)
+    while (jdn < table.first) {
+      table = this._getMonthTable(--n)
+    }
+    while (jdn > table.last) {
+      table = this._getMonthTable(++n)
+    }
+    return table
+  }
+
+  /**
+   * get the JDN of a civil day
+   *
+   * @private
+   * @param {CalendarTibetan|Date|Object|Number} value - calendar object, `Date`,
+   *   gregorian date `{ year, month, day }` or JDN
+   * @throws {TypeError} on an unknown type
+   * @return {Number} JDN
+   */
+  _toCivilJDN (value) {
+    if (typeof value === 'number' && Number.isInteger(value)) {
+      return value
+    }
+    if (value instanceof CalendarTibetan) {
+      return value.toJDN()
+    }
+    if (value instanceof Date) {
+      return Math.floor(this._jdToJdLocal(new julian.CalendarGregorian().fromDate(value).toJD()))
+    }
+    if (value !== null && typeof value === 'object' && 'year' in value && 'month' in value && 'day' in value) {
+      return new julian.CalendarGregorian(value.year, value.month, value.day).toJD() + 0.5
+    }
+    throw new TypeError(`expected a calendar object, Date, { year, month, day } or JDN, got ${value}`)
+  }
+
+  /**
+   * get the timezone and the day start for a conversion
+   *
+   * @private
+   * @param {Object} [options] - `{ timeZone, dayStart }`; defaults to the options of the constructor
+   * @throws {TypeError|RangeError} on an invalid timezone or day start
+   * @return {Object} { timeZone, dayStart } - `undefined` for the defaults of the calendar variant
+   */
+  _getLocalTime (options = {}) {
+    const timeZone = options.timeZone !== undefined ? options.timeZone : this._options.timeZone
+    const dayStart = options.dayStart !== undefined ? options.dayStart : this._options.dayStart
+    return {
+      timeZone: timeZone === undefined ? undefined : checkTimeZone(timeZone),
+      dayStart: dayStart === undefined ? undefined : checkDayStart(dayStart)
+    }
+  }
+
+  /**
+   * convert JD to local JD, in which a civil day starts at an integer
+   *
+   * @private
+   * @param {Number} jd
+   * @param {Object} [options] - `{ timeZone, dayStart }`
+   * @param {Object} [local] - result of `_getLocalTime(options)` if already known
+   * @return {Number} local JD
+   */
+  _jdToJdLocal (jd, options, local = this._getLocalTime(options)) {
+    const { timeZone, dayStart } = local
+    const stdTime = timeZone === undefined ? this._JD_OFFSET_STD_TIME : getTimeZoneOffset(timeZone, jd) / 24
+    const start = dayStart === undefined ? this._JD_OFFSET_DAY_START : (12 - dayStart) / 24
+    return jd + stdTime + start
+  }
+
+  /**
+   * convert local JD to JD
+   *
+   * @private
+   * @param {Number} jdLocal
+   * @param {Object} [options] - `{ timeZone, dayStart }`
+   * @return {Number} JD
+   */
+  _jdLocalToJd (jdLocal, options) {
+    const { timeZone, dayStart } = this._getLocalTime(options)
+    const start = dayStart === undefined ? this._JD_OFFSET_DAY_START : (12 - dayStart) / 24
+    if (timeZone === undefined) {
+      return jdLocal - this._JD_OFFSET_STD_TIME - start
+    }
+    return localToUTC(timeZone, jdLocal - start)
+  }
+
+  /**
+   * convert JDN of a civil day to gregorian date
+   *
+   * @private
+   * @param {Number} jdn - (int) JDN
+   * @return {Object} { year, month, day }
+   */
+  _jdnToGregorian (jdn) {
+    const jd = jdn - 0.5 // midnight
+    const cal = new julian.JDToCalendarGregorian(jd)
+    return {
+      year: cal.year,
+      month: cal.month,
+      day: cal.day
+    }
   }
 
   /**
@@ -155,17 +666,188 @@ export default class CalendarTibetan {
    */
   epochCycleFromYear (gyear) {
     const cycle = Math.floor((gyear - this._EPOCH_RAB_BYUNG) / 60) + 1
-    const year = ((gyear - this._EPOCH_RAB_BYUNG) % 60) + 1
+    const year = mod(gyear - this._EPOCH_RAB_BYUNG, 60) + 1
     return {cycle, year}
   }
 
+  /**
+   * get the position of a year of the rab byung cycle in the sexagenary cycle
+   * (the first year of each cycle is a Fire-Female-Rabbit year)
+   *
+   * @private
+   * @param {Number} year - tibetan year of cycle (1-60)
+   * @return {Object} { element, gender, animal } as indices into the name tables
+   */
+  _getSexagenary (year) {
+    const i = mod(year + 2, 60)
+    return {
+      element: Math.floor((i % 10) / 2),
+      gender: i % 2,
+      animal: i % 12
+    }
+  }
+
+  /**
+   * get the names of the current tibetan year
+   *
+   * @param {String} [locale] - one of `en`, `wylie`, `bo`, `dz`, `mn`; defaults to `en`
+   * @return {Object} { element, gender, animal, sexagenary, name }
+   * {String} sexagenary - e.g. "Wood-Female-Snake", "shing mo sbrul"
+   * {String} name - traditional rab byung year name, e.g. "rab byung"; `dz` uses
+   *   the Tibetan script of `bo`; `mn` has no table of these names and falls back
+   *   to `sexagenary`, the colour name used by Mongolian almanacs, e.g. "хөхөгчин могой"
+   */
+  getYearName (locale = 'en') {
+    checkLocale(locale)
+    const { element, gender, animal } = this._getSexagenary(this.year)
+    const names = {
+      element: ELEMENTS[locale][element],
+      gender: GENDERS[locale][gender],
+      animal: ANIMALS[locale][animal]
+    }
+    switch (locale) {
+      case 'en':
+        names.sexagenary = [names.element, names.gender, names.animal].join('-')
+        break
+      case 'mn':
+        names.sexagenary = MONGOLIAN_COLOURS[element][gender] + ' ' + names.animal
+        break
+      case 'wylie':
+        names.sexagenary = [names.element, names.gender, names.animal].join(' ')
+        break
+      default:
+        names.sexagenary = [names.element, names.gender, names.animal].join('་')
+    }
+    names.name = locale === 'mn' ? names.sexagenary : YEAR_NAMES[locale][this.year - 1]
+    return names
+  }
+
+  /**
+   * find a tibetan year by its name
+   *
+   * @param {String} name - traditional rab byung year name or sexagenary name
+   *   (e.g. "Wood-Female-Snake") in any of the supported locales
+   * @param {Number} [cycle] - rab byung cycle; defaults to the current cycle
+   * @throws {RangeError} if the name is unknown
+   * @return {Object} { cycle, year }
+   */
+  yearFromName (name, cycle = this.cycle) {
+    const key = normalizeName(name)
+    const probe = new CalendarTibetan()
+    for (let year = 1; year <= 60; year++) {
+      probe.year = year
+      for (const locale of LOCALES) {
+        const names = probe.getYearName(locale)
+        if (normalizeName(names.name) === key || normalizeName(names.sexagenary) === key) {
+          return { cycle, year }
+        }
+      }
+    }
+    throw new RangeError(`unknown year name "${name}"`)
+  }
+
+  /**
+   * get the names of the twelve months
+   *
+   * @private
+   * @param {String} naming - one of `MONTH_NAMINGS`
+   * @param {String} locale
+   * @throws {RangeError} on an unknown naming
+   * @return {Array<String>|undefined} `undefined` if there are no names for `locale`
+   */
+  _getMonthNames (naming, locale) {
+    if (!MONTH_NAMINGS.includes(naming)) {
+      throw new RangeError(`unknown month naming "${naming}"; expected one of ${MONTH_NAMINGS.join(', ')}`)
+    }
+    const names = {
+      number: MONTH_NAMES[locale],
+      indian: INDIAN_MONTH_NAMES[locale],
+      season: SEASON_MONTH_NAMES[locale],
+      // the first month is the Tiger month
+      animal: ANIMALS[locale].map((_, i) => ANIMALS[locale][(i + 2) % 12] + ANIMAL_MONTH_SUFFIXES[locale])
+    }
+    return names[naming]
+  }
+
+  /**
+   * get the name of the month
+   *
+   * The leap month is the first of two months with the same number under the
+   * Phugpa rule and the second under the Bhutanese rule.
+   *
+   * @param {String} [locale] - one of `en`, `wylie`, `bo`, `dz`, `mn`; defaults to `en`
+   * @param {String} [naming] - `number` (Hor month), `indian`, `season` or `animal`;
+   *   defaults to `season` for `CalendarMongolian` and `number` otherwise
+   * @throws {RangeError} on an unknown naming or if there are no names for `locale`
+   * @return {Object} { month, kalacakra, leapMonth, name } - `month` is the Hor month
+   *   number and `kalacakra` the number counted from nag pa (Caitra)
+   */
+  getMonthName (locale = 'en', naming = this._MONTH_NAMING) {
+    checkLocale(locale)
+    const names = this._getMonthNames(naming, locale)
+    if (!names) {
+      throw new RangeError(`no ${naming} month names for locale "${locale}"`)
+    }
+    let name = names[this.month - 1]
+    if (this.leapMonth) {
+      name = LEAP_MONTH_PATTERNS[locale].replace('{name}', name)
+    }
+    return {
+      month: this.month,
+      kalacakra: mod(this.month - 3, 12) + 1,
+      leapMonth: this.leapMonth,
+      name
+    }
+  }
+
+  /**
+   * list the month names of a locale in every naming, with and without the
+   * leap month pattern of `getMonthName()`
+   *
+   * @private
+   * @param {String} locale
+   * @return {Array<Object>} [{ name, month, leapMonth }]
+   */
+  _listMonthNames (locale) {
+    const list = []
+    for (const naming of MONTH_NAMINGS) {
+      const names = this._getMonthNames(naming, locale) || []
+      names.forEach((name, i) => {
+        list.push({ name, month: i + 1, leapMonth: false })
+        list.push({ name: LEAP_MONTH_PATTERNS[locale].replace('{name}', name), month: i + 1, leapMonth: true })
+      })
+    }
+    return list
+  }
+
+  /**
+   * get the month from its name in any naming and locale
+   *
+   * @param {String} name - e.g. `'sa ga zla ba'`, `'Sixth month (leap)'`
+   * @throws {RangeError} if the name is unknown
+   * @return {Object} { month, leapMonth }
+   */
+  monthFromName (name) {
+    const key = normalizeName(name)
+    for (const locale of LOCALES) {
+      const found = this._listMonthNames(locale).find((entry) => normalizeName(entry.name) === key)
+      if (found) {
+        return { month: found.month, leapMonth: found.leapMonth }
+      }
+    }
+    throw new RangeError(`unknown month name "${name}"`)
+  }
+
   /**
    * Get true month count (n) from Tibetan Year, Month, and LeapMonth status.
+   *
+   * @param {Number} [gyear] - (int) gregorian year; defaults to the current year
+   * @param {Number} [month] - tibetan month; defaults to the current month
+   * @param {Boolean} [leapMonth] - defaults to the current leap month status
    */
-  _getTrueMonthCount (gyear) {
+  _getTrueMonthCount (gyear, month = this.month, leapMonth = this.leapMonth) {
     const Y = (gyear ? gyear : this._getGregorianYear());
-    const M = this.month
-    const leapMonth = this.leapMonth
+    const M = month
     const alpha = this._getAlpha()
     const M_prime = 12 * (Y - this._EPOCH_YEAR) + M
     const n = Math.floor((67 * (M_prime - alpha)) / 65) // Eq C.25
@@ -185,7 +867,7 @@ export default class CalendarTibetan {
     const M = month
     const beta = this._getBeta()
     const M_prime = 12 * (Y - this._EPOCH_YEAR) + M
-    const mod_65_val = (M_prime * 2 - beta) % 65
+    const mod_65_val = mod(M_prime * 2 - beta, 65)
     return (mod_65_val == 0 || mod_65_val == 1) // Eq C.27
   }
 
@@ -199,7 +881,7 @@ export default class CalendarTibetan {
     const n = trueMonthCount
     const beta = this._getBeta()
     const x = Math.ceil((65 * n + beta) / 67) // Eq. C.59
-    let M = x % 12
+    let M = mod(x, 12)
     if (M == 0) M = 12
     const Y = (x - M) / 12 + this._EPOCH_YEAR
     let L = false
@@ -261,41 +943,135 @@ export default class CalendarTibetan {
    * @return {Number} true_date
    */
   getTrueDate (trueMonthCount, lunarDay) {
+    return this._getTrueDateParts(trueMonthCount, lunarDay).trueDate
+  }
+
+  /**
+   * get the true longitudes of the sun (nyi dag) and the moon at the end of
+   * a lunar day in lunar mansions, chu tshod, chu srang and dbugs
+   *
+   * The true moon is the true sun plus 1/30 of a revolution per lunar day.
+   * (Section 7)
+   *
+   * @param {Number} [trueMonthCount] (n) - defaults to the month of this date
+   * @param {Number} [lunarDay] (d) - defaults to the day of this date; days outside
+   *   of 1-30 count into the neighbouring months
+   * @return {Object} { sun, moon } each as
+   *   `{ longitude, mansion, chuTshod, chuSrang, dbugs, fraction }`;
+   *   `longitude` is a fraction of a revolution and `fraction` a fraction of a dbugs
+   */
+  getTrueLongitudes (trueMonthCount = this._getTrueMonthCount(), lunarDay = this.day) {
+    const { trueSun, trueMoon } = this.getTrueDateParts(trueMonthCount, lunarDay)
+    return {
+      sun: toMansionUnits(trueSun),
+      moon: toMansionUnits(trueMoon)
+    }
+  }
+
+  /**
+   * get the intermediate values of the calculation of the true date at the
+   * end of a lunar day, e.g. for debugging (Section 7)
+   *
+   * @param {Number} [trueMonthCount] (n) - defaults to the month of this date
+   * @param {Number} [lunarDay] (d) - defaults to the day of this date; days outside
+   *   of 1-30 count into the neighbouring months
+   * @return {Object} { trueMonthCount, lunarDay, meanDate, meanSun, anomalyMoon, moonEqu,
+   *   anomalySun, sunEqu, trueDate, trueSun, trueMoon }
+   *   longitudes and anomalies in fractions of a revolution, equations in
+   *   sixtieths of a lunar mansion, dates in local JD
+   */
+  getTrueDateParts (trueMonthCount = this._getTrueMonthCount(), lunarDay = this.day) {
+    const parts = this._getTrueDatePartsOfDay(trueMonthCount, lunarDay)
+    return {
+      trueMonthCount,
+      lunarDay,
+      ...parts,
+      trueMoon: mod(parts.trueSun + lunarDay / 30, 1)
+    }
+  }
+
+  /**
+   * Calculate True Date and the intermediate values of its calculation
+   * at the end of a lunar day. (Section 7)
+   *
+   * @private
+   * @param {Number} trueMonthCount (n)
+   * @param {Number} lunarDay (d, 1-30)
+   * @return {Object} { meanDate, meanSun, anomalyMoon, moonEqu, anomalySun, sunEqu, trueDate, trueSun }
+   *   longitudes and anomalies in fractions of a revolution, equations in
+   *   sixtieths of a lunar mansion, dates in JD
+   */
+  _getTrueDateParts (trueMonthCount, lunarDay) {
     const n = trueMonthCount
     const d = lunarDay // Note: Doc formulas use d for tithi number. For day 0 of month, d=0. Here, day 1-30.
                      // The formulas in Section 7 are for "end of lunar day d".
                      // If lunarDay is 1-30, we use it directly.
 
     // Mean Date (gza' bar pa) (Eq. 7.1)
-    const mean_date = n * this._M1 + d * this._M2 + this._M0
+    const meanDate = n * this._M1 + d * this._M2 + this._M0
 
     // Mean Longitude of the Sun (nyi ma bar pa) (Eq. 7.5)
-    let mean_sun = n * this._S1 + d * this._S2 + this._S0
-    mean_sun = mean_sun - Math.floor(mean_sun) // modulo 1
+    let meanSun = n * this._S1 + d * this._S2 + this._S0
+    meanSun = meanSun - Math.floor(meanSun) // modulo 1
 
     // Anomaly of the Moon (ril-po dang cha-shas) (Eq. 7.11)
-    let anomaly_moon = n * this._A1 + d * this._A2 + this._A0
-    anomaly_moon = anomaly_moon - Math.floor(anomaly_moon) // modulo 1
+    let anomalyMoon = n * this._A1 + d * this._A2 + this._A0
+    anomalyMoon = anomalyMoon - Math.floor(anomalyMoon) // modulo 1
 
     // Equation of the Moon (zla rkang) (Eq. 7.17, 7.18)
-    // Argument to moon_tab is 28 * anomaly_moon
-    const moon_equ_arg = 28 * anomaly_moon
-    const moon_equ = this._linearInterpolate(moon_equ_arg, this._moon_tab_values, 7, 28)
+    // Argument to moon_tab is 28 * anomalyMoon
+    const moonEquArg = 28 * anomalyMoon
+    const moonEqu = this._linearInterpolate(moonEquArg, this._moon_tab_values, 7, 28)
 
     // Anomaly of the Sun (Eq. 7.19)
-    let anomaly_sun = mean_sun - 1 / 4
-    anomaly_sun = anomaly_sun - Math.floor(anomaly_sun) // modulo 1
+    let anomalySun = meanSun - 1 / 4
+    anomalySun = anomalySun - Math.floor(anomalySun) // modulo 1
 
     // Equation of the Sun (nyi rkang) (Eq. 7.20, 7.21)
-    // Argument to sun_tab is 12 * anomaly_sun
-    const sun_equ_arg = 12 * anomaly_sun
-    const sun_equ = this._linearInterpolate(sun_equ_arg, this._sun_tab_values, 3, 12)
+    // Argument to sun_tab is 12 * anomalySun
+    const sunEquArg = 12 * anomalySun
+    const sunEqu = this._linearInterpolate(sunEquArg, this._sun_tab_values, 3, 12)
 
     // True Date (gza' dag) (Eq. 7.22)
-    // moon_equ and sun_equ are in "units" that need to be divided by 60 for days.
-    const true_date = mean_date + moon_equ / 60 - sun_equ / 60
+    // moonEqu and sunEqu are in "units" that need to be divided by 60 for days.
+    const trueDate = meanDate + moonEqu / 60 - sunEqu / 60
 
-    return true_date
+    // True Longitude of the Sun (nyi dag) (Eq. 7.23)
+    // sunEqu is in sixtieths of a lunar mansion, i.e. 1/(27 * 60) of a revolution
+    const trueSun = mod(meanSun - sunEqu / (27 * 60), 1)
+
+    return { meanDate, meanSun, anomalyMoon, moonEqu, anomalySun, sunEqu, trueDate, trueSun }
+  }
+
+  /**
+   * Calculate True Date for a lunar day which may lie outside of 1-30;
+   * day 0 is the last day (30) of the previous month and day 31 the first
+   * day of the next month.
+   *
+   * The anomaly of the moon does not advance by exactly one month over
+   * 30 lunar days, so the end of a month has to be computed as day 30 of
+   * that month and not as day 0 of the following month.
+   *
+   * @private
+   * @param {Number} trueMonthCount (n)
+   * @param {Number} lunarDay (d)
+   * @return {Number} true_date
+   */
+  _getTrueDateOfDay (trueMonthCount, lunarDay) {
+    return this._getTrueDatePartsOfDay(trueMonthCount, lunarDay).trueDate
+  }
+
+  /**
+   * like `_getTrueDateOfDay()` but returns all values of `_getTrueDateParts()`
+   *
+   * @private
+   * @param {Number} trueMonthCount (n)
+   * @param {Number} lunarDay (d)
+   * @return {Object}
+   */
+  _getTrueDatePartsOfDay (trueMonthCount, lunarDay) {
+    const months = Math.ceil(lunarDay / 30) - 1
+    return this._getTrueDateParts(trueMonthCount + months, lunarDay - months * 30)
   }
 
   /**
@@ -305,13 +1081,13 @@ export default class CalendarTibetan {
    * @param {Number} j - date in JD
    */
   _from (jd) {
-    const jdn = Math.trunc(toFixed(jd, 7)) // rounding 0.00000005day = 0.0043sec
+    const jdn = jdnFromJdLocal(jd)
     const solarDaysFromEpoch = jdn - this._M0
     let n = Math.floor(solarDaysFromEpoch / this._M1) // approximation for true month count
     let day = Math.floor((solarDaysFromEpoch - n * this._M1) / this._M2)  // approximation for lunar day
     let leapDay = false
     for (let i = 0; i < 3; i++) {
-      const trueDate = this.getTrueDate(n, day)
+      const trueDate = this._getTrueDateOfDay(n, day)
       //console.log(trueDate, n, day, jdn)
       if (trueDate > jdn + 1) {
         // (Section 6, "When a date is repeated, the first of the two days ... is regarded as a leap day")
@@ -333,17 +1109,18 @@ export default class CalendarTibetan {
       day -= 30
     }
     const {cycle, year, month, leapMonth} = this._getTibetanMonthFromTrueMonthCount(n)
-    this.set(cycle, year, month, leapMonth, day, leapDay)
+    this._set(cycle, year, month, leapMonth, day, leapDay)
   }
 
   /**
    * convert JD to tibetan calendar date
    *
    * @param {Number} j - date in JD
+   * @param {Object} [options] - `{ timeZone, dayStart }`, see constructor
    * @return {Object} this
    */
-  fromJD (jd) {
-    this._from(this._jdToJdLocal(jd))
+  fromJD (jd, options) {
+    this._from(this._jdToJdLocal(jd, options))
     return this
   }
   
@@ -352,7 +1129,7 @@ export default class CalendarTibetan {
    *
    * @param {Number} year - (int) year in Gregorian or Julian Calendar
    * @param {Number} month - (int)
-   * @param {Number} day - needs to be in correct (tibetan) timezone
+   * @param {Number} day - civil date; it has the same tibetan date in every timezone
    * @return {Object} this
    */
   fromGregorian (year, month, day) {
@@ -365,20 +1142,61 @@ export default class CalendarTibetan {
    * convert date to tibetan calendar date
    *
    * @param {Date} date - javascript date object
+   * @param {Object} [options] - `{ timeZone, dayStart }`, see constructor
    * @return {Object} this
    */
-  fromDate (date) {
+  fromDate (date, options) {
     const jd = new julian.CalendarGregorian().fromDate(date).toJD()
-    this._from(this._jdToJdLocal(jd))
+    this._from(this._jdToJdLocal(jd, options))
     return this
   }
 
+  /**
+   * get the disambiguation for a conversion to JDN
+   *
+   * @private
+   * @param {Object} [options] - options of the conversion
+   * @return {String} `'earlier'`, `'later'` or `'reject'`
+   */
+  _getDisambiguation (options) {
+    const disambiguation = (options && options.disambiguation) || this._options.disambiguation
+    if (!DISAMBIGUATIONS.includes(disambiguation)) {
+      throw new RangeError(`unknown disambiguation "${disambiguation}"; expected one of ${DISAMBIGUATIONS.join(', ')}`)
+    }
+    return disambiguation
+  }
+
   /**
    * convert tibetan date to JD
+   *
+   * Dates which do not exist are resolved by `options.disambiguation`:
+   * - `'later'` (default): a skipped day gives the following civil day
+   * - `'earlier'`: a skipped day gives the preceding civil day
+   * - `'reject'`: throw a `RangeError` for any invalid date (see `isValid()`)
+   * `'earlier'` and `'later'` only differ for a skipped day: with both, a leap
+   * month which does not exist in the year maps to the regular month, and a leap
+   * day which is not repeated to the regular day. Only `'reject'` detects them.
+   *
    * @param {Number} [gyear] - (int) gregorian year
+   * @param {Object} [options] - may also be given as only argument
+   * @param {String} [options.disambiguation] - `'earlier'`, `'later'` or `'reject'`;
+   *   defaults to the option given to the constructor, else `'later'`
+   * @throws {RangeError} if the date is invalid and `disambiguation` is `'reject'`
    * @return {Number} date in JDN
    */
-  toJDN (gyear) {
+  toJDN (gyear, options) {
+    if (isOptions(gyear)) {
+      options = gyear
+      gyear = undefined
+    }
+    const disambiguation = this._getDisambiguation(options)
+    if (disambiguation === 'reject') {
+      const error = this._getValidationError(gyear)
+      if (error) {
+        throw new RangeError(error)
+      }
+    }
+
     // gyear is not strictly needed if this.year, this.month etc. are already set.
     // It might be a hint for which Gregorian year the Tibetan New Year falls into,
     // but the core conversion uses the Tibetan date parts directly.
@@ -386,10 +1204,21 @@ export default class CalendarTibetan {
     
     // Get the JDN of the calendar day where this.day (lunar day) ends. (Section 8, Eq. 8.1)
     const true_date = this.getTrueDate(n, this.day)
-    let jdn = Math.floor(true_date)
-    //console.log(n, this.day, true_date, jdn)
-    
-    const prevTrueDate = this.getTrueDate(n, this.day - 1)
+    const prevTrueDate = this._getTrueDateOfDay(n, this.day - 1)
+    return this._getJDNOfDay(true_date, prevTrueDate, disambiguation)
+  }
+
+  /**
+   * get the JDN of the civil day labelled by the lunar day of this date
+   *
+   * @private
+   * @param {Number} trueDate - end of the lunar day
+   * @param {Number} prevTrueDate - end of the previous lunar day
+   * @param {String} disambiguation - see `toJDN()`
+   * @return {Number} JDN
+   */
+  _getJDNOfDay (trueDate, prevTrueDate, disambiguation) {
+    let jdn = Math.floor(trueDate)
     const prevJdn = Math.floor(prevTrueDate)
     const isSkippedDay = (jdn == prevJdn)
     const isRepeatedDay = (jdn == prevJdn + 2)
@@ -404,41 +1233,521 @@ export default class CalendarTibetan {
 
     // Adjust if it's a skipped day
     // ("A calendar day is labelled by the lunar day that is current at the beginning of the calendar day.")
-    if (isSkippedDay) {
+    // jdn is labelled by the previous lunar day, jdn + 1 by the next one
+    if (isSkippedDay && disambiguation === 'later') {
       jdn = jdn + 1
     }
     return jdn
   }
 
+  /**
+   * position of this date in time, for ordering
+   *
+   * This is the JDN of the civil day; a skipped day, which begins and ends
+   * within the preceding civil day, is placed half a day after it. So dates
+   * are ordered in time for every calendar variant, also across variants, and
+   * a leap day precedes the regular day. A leap day flag on a day which is
+   * not repeated is ignored.
+   *
+   * @return {Number} JDN, or JDN + 0.5 for a skipped day
+   */
+  valueOf () {
+    const n = this._getTrueMonthCount()
+    const trueDate = this.getTrueDate(n, this.day)
+    const prevTrueDate = this._getTrueDateOfDay(n, this.day - 1)
+    const jdn = this._getJDNOfDay(trueDate, prevTrueDate, 'earlier')
+    return Math.floor(trueDate) === Math.floor(prevTrueDate) ? jdn + 0.5 : jdn
+  }
+
+  /**
+   * compare two dates in time, see `valueOf()`; usable with `Array.prototype.sort()`
+   *
+   * @param {CalendarTibetan|TibetanDate} a
+   * @param {CalendarTibetan|TibetanDate} b
+   * @return {Number} -1 if `a` is before `b`, 1 if after, 0 if on the same civil day
+   */
+  static compare (a, b) {
+    return Math.sign(a.valueOf() - b.valueOf())
+  }
+
+  /**
+   * compare with another date in time, see `valueOf()`
+   *
+   * @param {CalendarTibetan|TibetanDate} other - of any calendar variant
+   * @return {Number} -1 if this date is before `other`, 1 if after, 0 if on the same civil day
+   */
+  compare (other) {
+    return CalendarTibetan.compare(this, other)
+  }
+
+  /**
+   * check if another calendar object has the same calendar variant and date parts
+   *
+   * @param {CalendarTibetan} other
+   * @return {Boolean}
+   */
+  equals (other) {
+    return other instanceof CalendarTibetan &&
+      other.constructor === this.constructor &&
+      other.get().every((part, i) => part === this.get()[i])
+  }
+
+  /**
+   * @param {CalendarTibetan|TibetanDate} other - of any calendar variant
+   * @return {Boolean} `true` if this date is before `other`
+   */
+  isBefore (other) {
+    return this.compare(other) < 0
+  }
+
+  /**
+   * @param {CalendarTibetan|TibetanDate} other - of any calendar variant
+   * @return {Boolean} `true` if this date is after `other`
+   */
+  isAfter (other) {
+    return this.compare(other) > 0
+  }
+
+  /**
+   * get the same civil day in another calendar variant
+   *
+   * The civil day is identified by its JDN, so the different standard times
+   * of the variants do not matter.
+   *
+   * @param {Function} Calendar - `CalendarTibetan` or a class derived from it
+   * @param {Object} [options] - options of the new calendar object, see constructor;
+   *   defaults to the options of this calendar object. `disambiguation` applies
+   *   to a skipped day of this date, see `toJDN()`
+   * @throws {TypeError} if `Calendar` is not a calendar class
+   * @throws {RangeError} like `toJDN()`
+   * @return {CalendarTibetan} new calendar object of the class `Calendar`
+   */
+  convertTo (Calendar, options = this._options) {
+    if (!isCalendarClass(Calendar)) {
+      throw new TypeError(`expected CalendarTibetan or a class derived from it, got ${Calendar}`)
+    }
+    const cal = new Calendar(options)
+    cal._from(this.toJDN(options))
+    return cal
+  }
+
+  /**
+   * find the civil days on which two calendar variants disagree
+   *
+   * @param {Function} Calendar - the other variant, `CalendarTibetan` or a class derived from it
+   * @param {CalendarTibetan|Date|Object|Number} start - first day, see `range()`
+   * @param {CalendarTibetan|Date|Object|Number} end - last day, see `range()`
+   * @param {Object} [options] - see `range()`
+   * @throws {TypeError} if `Calendar` is not a calendar class, or on an unknown type of `start` or `end`
+   * @return {Array<Object>} for each civil day on which the dates differ
+   *   `{ jdn, gregorian, date, other, fields }` where `date` is of this class,
+   *   `other` of the class `Calendar` and `fields` lists the date parts which differ,
+   *   e.g. `['month', 'leapMonth']`
+   */
+  static getDisagreements (Calendar, start, end, options) {
+    if (!isCalendarClass(Calendar)) {
+      throw new TypeError(`expected CalendarTibetan or a class derived from it, got ${Calendar}`)
+    }
+    // a `Date` is converted in the standard time of this variant for both
+    const cal = new this(options)
+    const first = cal._toCivilJDN(start)
+    const last = cal._toCivilJDN(end)
+    const fields = ['cycle', 'year', 'month', 'leapMonth', 'day', 'leapDay']
+    const others = Calendar.range(first, last, options)
+    const result = []
+    let jdn = first
+    for (const date of this.range(first, last, options)) {
+      const other = others.next().value
+      const differ = fields.filter((name) => date[name] !== other[name])
+      if (differ.length) {
+        result.push({ jdn, gregorian: cal._jdnToGregorian(jdn), date, other, fields: differ })
+      }
+      jdn++
+    }
+    return result
+  }
+
   /**
    * convert tibetan date to gregorian date
    *
    * @param {Number} [gyear] - (int) gregorian year
+   * @param {Object} [options] - see `toJDN()`
    * @return {Object} date in gregorian (preleptic) calendar; Timezone is Standard local Time
    * {Number} year - (int)
    * {Number} month - (int)
    * {Number} day - (int)
    */
-  toGregorian (gyear) {
-    const jdn = this.toJDN(gyear)
-    const jd = jdn - 0.5 // midnight
-    const cal = new julian.JDToCalendarGregorian(jd)
-    return {
-      year: cal.year,
-      month: cal.month,
-      day: cal.day
-    }
+  toGregorian (gyear, options) {
+    return this._jdnToGregorian(this.toJDN(gyear, options))
   }
 
   /**
    * convert tibetan date to Date
    *
    * @param {Number} [gyear] - (int) gregorian year
-   * @return {Date} javascript date object in gregorian (preleptic) calendar
+   * @param {Object} [options] - see `toJDN()`; also `{ timeZone, dayStart }`, see constructor
+   * @return {Date} javascript date object in gregorian (preleptic) calendar;
+   *   the beginning of the civil day
    */
-  toDate (gyear) {
-    const jdn = this.toJDN(gyear)
-    const jd = this._jdLocalToJd(jdn)
+  toDate (gyear, options) {
+    if (isOptions(gyear)) {
+      options = gyear
+      gyear = undefined
+    }
+    const jdn = this.toJDN(gyear, options)
+    const jd = this._jdLocalToJd(jdn, options)
     return new julian.CalendarGregorian().fromJD(jd).toDate()
   }
+
+  /**
+   * list all civil days of the current tibetan month
+   *
+   * A calendar day is labelled by the lunar day that is current at its
+   * beginning; a lunar day may therefore be repeated (the first of the two
+   * days is a leap day) or skipped. (Section 6)
+   *
+   * @return {Object} { days, skippedDays }
+   * {Array<Object>} days - `{ day, leapDay, jdn, gregorian, weekday }` for every
+   *   civil day of the month in order; `weekday` is 0 for Sunday, 1 for Monday, ...
+   * {Array<Number>} skippedDays - lunar days which are omitted in this month
+   */
+  getMonthDays () {
+    const trueDates = this._getTrueDatesOfMonth(this._getTrueMonthCount())
+    const days = []
+    let d = 1
+    for (let jdn = Math.floor(trueDates[0]) + 1; jdn <= Math.floor(trueDates[30]); jdn++) {
+      while (trueDates[d] <= jdn) {
+        d++
+      }
+      days.push({
+        day: d,
+        leapDay: trueDates[d] > jdn + 1,
+        jdn,
+        gregorian: this._jdnToGregorian(jdn),
+        weekday: (jdn + 1) % 7
+      })
+    }
+    const skippedDays = []
+    for (let d = 1; d <= 30; d++) {
+      if (!days.some((day) => day.day === d)) {
+        skippedDays.push(d)
+      }
+    }
+    return { days, skippedDays }
+  }
+
+  /**
+   * get the ends of the lunar days 0-30 of a month
+   *
+   * @private
+   * @param {Number} trueMonthCount (n)
+   * @return {Array<Number>} true dates; index 0 is the end of the previous month
+   */
+  _getTrueDatesOfMonth (trueMonthCount) {
+    const trueDates = []
+    for (let d = 0; d <= 30; d++) {
+      trueDates.push(this._getTrueDateOfDay(trueMonthCount, d))
+    }
+    return trueDates
+  }
+
+  /**
+   * list the festivals and observances of this calendar variant in a range of years
+   *
+   * Annual festivals are held in the regular month of two doubled months. A
+   * doubled day is observed on the second of the two days and a skipped day on
+   * the preceding day unless `options` choose otherwise; `adjustment` is then
+   * `'doubled'` or `'skipped'`.
+   *
+   * @param {Number} [startYear] - (int) first year; defaults to the year of this date
+   * @param {Number} [endYear] - (int) last year; defaults to `startYear`
+   * @param {Object} [options]
+   * @param {String} [options.range] - `'gregorian'` (default) for Gregorian years, or
+   *   `'tibetan'` for tibetan years given by the Gregorian year in which they begin
+   * @param {Boolean} [options.monthly] - include monthly observances; defaults to `true`
+   * @param {String} [options.doubledDay] - `'second'` (default) or `'first'` of two doubled days
+   * @param {String} [options.skippedDay] - `'earlier'` (default) for the preceding day of a
+   *   skipped day, or `'later'` for the following day
+   * @throws {RangeError} on an unknown range, doubledDay or skippedDay
+   * @return {Array<Object>} `{ id, name, monthly, date, jdn, gregorian, adjustment }` sorted by date;
+   *   `date` is the tibetan date of the civil day as `[cycle, year, month, leapMonth, day, leapDay]`
+   */
+  getFestivals (startYear = this._getGregorianYear(), endYear = startYear, options) {
+    return getFestivals(this, startYear, endYear, options)
+  }
+
+  /**
+   * export the civil days of this calendar variant in a range of years as iCalendar (RFC 5545)
+   *
+   * Every civil day becomes an all-day event labelled with its tibetan date;
+   * month starts, leap months, skipped days and festivals can be added.
+   *
+   * @param {Number} [startYear] - (int) first year; defaults to the year of this date
+   * @param {Number} [endYear] - (int) last year; defaults to `startYear`
+   * @param {Object} [options]
+   * @param {String} [options.range] - `'gregorian'` (default) or `'tibetan'`, see `getFestivals()`
+   * @param {String} [options.locale] - locale of the names; defaults to `en`
+   * @param {Boolean} [options.days] - an event for every civil day; defaults to `true`
+   * @param {Boolean} [options.monthStarts] - an event for the first day of every month
+   * @param {Boolean} [options.leapMonths] - an event spanning every leap month
+   * @param {Boolean} [options.skippedDays] - an event for every skipped lunar day
+   * @param {Boolean} [options.festivals] - events for the annual festivals
+   * @param {Boolean} [options.monthly] - events for the monthly observances
+   * @param {String} [options.doubledDay] - see `getFestivals()`
+   * @param {String} [options.skippedDay] - see `getFestivals()`
+   * @param {Function} [options.summary] - `(cal) => String` summary of a civil day
+   * @param {String} [options.name] - name of the calendar
+   * @param {Date} [options.timestamp] - `DTSTAMP` of the events; defaults to now
+   * @throws {RangeError} on an unknown range
+   * @return {String} iCalendar object
+   */
+  toICS (startYear = this._getGregorianYear(), endYear = startYear, options) {
+    return toICS(this, startYear, endYear, options)
+  }
+
+  /**
+   * get the astrological qualities of the civil day
+   *
+   * Black days (nyi nag) and zin phung days are only checked if their lists
+   * are given in `options.tables`; otherwise they are `null`. No lists are
+   * bundled since almanacs disagree and none could be cited. Of the
+   * combinations of weekday and mansion only the nectar (`'amrita'`) and death
+   * (`'mrtyu'`) combinations are recognized; `conjunction` is `null` otherwise.
+   *
+   * @param {Object} [options]
+   * @param {Number|String} [options.animal] - year animal for the weekday relationships,
+   *   as index (0 = Rat) or name; defaults to the animal of the year of this date
+   * @param {Object} [options.tables] - `{ nyiNag, zinPhung }`, each `{ [month]: [lunarDay, ...] }`
+   * @throws {RangeError} on an unknown animal
+   * @throws {TypeError|RangeError} on an invalid table
+   * @return {Object} { weekday, mansion, conjunction, lifeForce, nyiNag, zinPhung }
+   */
+  getDayQuality (options) {
+    return getDayQuality(this, options)
+  }
+
+  /**
+   * get the pañcāṅga elements of the civil day: weekday (gza'), lunar mansion
+   * (rgyu skar), yoga (sbyor ba) and karaṇa (byed pa)
+   *
+   * Each element is the one current at daybreak. `end` is its ending time in
+   * days after daybreak (times 60 for chu tshod); for the weekday it is the end
+   * of the lunar day. A skipped day is taken as the following civil day.
+   *
+   * @param {String} [locale] - `en` (Sanskrit names) or `wylie`; defaults to `en`
+   * @throws {RangeError} if there are no names for `locale`
+   * @return {Object} { weekday, mansion, yoga, karana } each as `{ index, name, end }`
+   */
+  getPanchanga (locale) {
+    return getPanchanga(this, locale)
+  }
+
+  /**
+   * compare the new moon which begins the month of this date and the full moon
+   * at the end of lunar day 15 with the astronomical new and full moons
+   *
+   * @return {Array<Object>} `{ phase, cycle, year, month, leapMonth, trueDate, jdn, jd, astronomicalJd, offset }`
+   *   for the new moon (`phase` `'new'`) and the full moon (`'full'`); `trueDate` is the
+   *   true date of the calendar's moon, `jdn` its civil day, `jd` and `astronomicalJd` are
+   *   in UT and `offset` is `jd - astronomicalJd` in hours, positive if the calendar is late
+   */
+  getMoonPhases () {
+    return getMoonPhases(this, this._getTrueMonthCount())
+  }
+
+  /**
+   * compare the new and full moons of the calendar on the civil days between
+   * two dates, both included, with the astronomical new and full moons
+   *
+   * @param {CalendarTibetan|Date|Object|Number} start - first day, see `range()`
+   * @param {CalendarTibetan|Date|Object|Number} end - last day, see `range()`
+   * @param {Object} [options] - `{ timeZone, dayStart }` for `Date` arguments, see `range()`
+   * @throws {TypeError} on an unknown type of `start` or `end`
+   * @return {Array<Object>} see `getMoonPhases()`, sorted by time
+   */
+  static getMoonPhases (start, end, options) {
+    const cal = new this(options)
+    return getMoonPhasesOfDays(cal, cal._toCivilJDN(start), cal._toCivilJDN(end))
+  }
+
+  /**
+   * get the first and last civil day of a month
+   *
+   * @private
+   * @param {Number} trueMonthCount (n)
+   * @return {Object} { first, last } as JDN
+   */
+  _getMonthBounds (trueMonthCount) {
+    return {
+      first: Math.floor(this._getTrueDateOfDay(trueMonthCount, 0)) + 1,
+      last: Math.floor(this.getTrueDate(trueMonthCount, 30))
+    }
+  }
+
+  /**
+   * get the structure of the current tibetan year
+   *
+   * The months are listed in calendar order; a leap month precedes the regular
+   * month of the same number under the Phugpa rule and follows it under the
+   * Bhutanese rule.
+   *
+   * @param {Number} [gyear] - (int) gregorian year in which the tibetan year begins;
+   *   defaults to the current year
+   * @return {Object} { cycle, year, gregorianYear, losar, leapMonth, months, length }
+   * {Object} losar - first day of the year `{ jdn, gregorian }`
+   * {Number|null} leapMonth - number of the month which is doubled, `null` if none
+   * {Array<Object>} months - `{ month, leapMonth, trueMonthCount, first, last, length }`;
+   *   `first` and `last` day are `{ jdn, gregorian }`, `length` in days
+   * {Number} length - length of the year in days
+   */
+  getYearInfo (gyear) {
+    const Y = gyear || this._getGregorianYear()
+    const { cycle, year } = this.epochCycleFromYear(Y)
+    const firstMonth = this._getTrueMonthCount(Y, 1, !this._IS_BHUTAN_LEAP)
+    const lastMonth = this._getTrueMonthCount(Y, 12, this._IS_BHUTAN_LEAP)
+    const day = (jdn) => ({ jdn, gregorian: this._jdnToGregorian(jdn) })
+
+    const months = []
+    let leapMonth = null
+    for (let n = firstMonth; n <= lastMonth; n++) {
+      const { month, leapMonth: isLeap } = this._getTibetanMonthFromTrueMonthCount(n)
+      const { first, last } = this._getMonthBounds(n)
+      if (isLeap) {
+        leapMonth = month
+      }
+      months.push({
+        month,
+        leapMonth: isLeap,
+        trueMonthCount: n,
+        first: day(first),
+        last: day(last),
+        length: last - first + 1
+      })
+    }
+    return {
+      cycle,
+      year,
+      gregorianYear: Y,
+      losar: months[0].first,
+      leapMonth,
+      months,
+      length: months[months.length - 1].last.jdn - months[0].first.jdn + 1
+    }
+  }
+
+  /**
+   * move to the civil day given by the current date parts, which resolves
+   * dates that do not exist: a skipped day becomes the following civil day and
+   * a leap day flag on a day which is not repeated is dropped
+   *
+   * @private
+   * @return {Object} this
+   */
+  _normalize () {
+    this._from(this.toJDN({ disambiguation: 'later' }))
+    return this
+  }
+
+  /**
+   * get the count of lunar days (tithi) since the epoch
+   *
+   * @private
+   * @return {Number}
+   */
+  _getLunarDayCount () {
+    return this._getTrueMonthCount() * 30 + this.day - 1
+  }
+
+  /**
+   * add civil days
+   *
+   * @param {Number} days - (int) number of days, may be negative
+   * @return {Object} this
+   */
+  addDays (days) {
+    this._from(this.toJDN() + days)
+    return this
+  }
+
+  /**
+   * add lunar days (tithi)
+   *
+   * Lunar days are counted without regard to skipped and repeated days.
+   * If the result is a skipped day, the following civil day is used;
+   * if it is a repeated day, the second (regular) day is used.
+   *
+   * @param {Number} lunarDays - (int) number of lunar days, may be negative
+   * @return {Object} this
+   */
+  addLunarDays (lunarDays) {
+    const count = this._getLunarDayCount() + lunarDays
+    const day = count - Math.floor(count / 30) * 30 + 1
+    const { cycle, year, month, leapMonth } = this._getTibetanMonthFromTrueMonthCount((count - day + 1) / 30)
+    this._set(cycle, year, month, leapMonth, day, false)
+    return this._normalize()
+  }
+
+  /**
+   * add months, counting leap months like any other month
+   *
+   * The day of the month is kept. If it is skipped in the resulting month, the
+   * following civil day is used; the leap day flag is dropped if the day is not
+   * repeated in the resulting month.
+   *
+   * @param {Number} months - (int) number of months, may be negative
+   * @return {Object} this
+   */
+  addMonths (months) {
+    const n = this._getTrueMonthCount() + months
+    const { cycle, year, month, leapMonth } = this._getTibetanMonthFromTrueMonthCount(n)
+    this._set(cycle, year, month, leapMonth, this.day, this.leapDay)
+    return this._normalize()
+  }
+
+  /**
+   * add years, keeping month and day
+   *
+   * A leap month becomes the regular month of the same number if the
+   * resulting year has no such leap month. Days are resolved as in `addMonths()`.
+   *
+   * @param {Number} years - (int) number of years, may be negative
+   * @return {Object} this
+   */
+  addYears (years) {
+    const gyear = this._getGregorianYear() + years
+    const { cycle, year } = this.epochCycleFromYear(gyear)
+    const leapMonth = this.leapMonth && this._isLeapMonthFromYearAndMonth(gyear, this.month)
+    this._set(cycle, year, this.month, leapMonth, this.day, this.leapDay)
+    return this._normalize()
+  }
+
+  /**
+   * distance to another tibetan date
+   *
+   * `months` and `years` count complete months and years; all values are
+   * positive if `other` is later than this date.
+   *
+   * @param {CalendarTibetan} other - tibetan date
+   * @return {Object} { days, lunarDays, months, years }
+   */
+  diff (other) {
+    // position of a civil day within its month / year; a leap day precedes the regular day
+    const dayKey = (cal) => cal.day * 2 + (cal.leapDay ? 0 : 1)
+    const yearKey = (cal) => {
+      const gyear = cal._getGregorianYear()
+      const first = cal._getTrueMonthCount(gyear, 1, !cal._IS_BHUTAN_LEAP)
+      return (cal._getTrueMonthCount() - first) * 64 + dayKey(cal)
+    }
+    const complete = (count, from, to) => {
+      if (count > 0 && to < from) return count - 1
+      if (count < 0 && to > from) return count + 1
+      return count
+    }
+    return {
+      days: other.toJDN() - this.toJDN(),
+      lunarDays: other._getLunarDayCount() - this._getLunarDayCount(),
+      months: complete(other._getTrueMonthCount() - this._getTrueMonthCount(), dayKey(this), dayKey(other)),
+      years: complete(other._getGregorianYear() - this._getGregorianYear(), yearKey(this), yearKey(other))
+    }
+  }
 }
@@ -0,0 +1,394 @@
+/**
+ * Immutable tibetan date.
+ *
+ * A `TibetanDate` is a frozen value object; every method which changes the
+ * date returns a new instance. Conversions delegate to a new calendar object
+ * (`CalendarTibetan`, `CalendarMongolian`, `CalendarBhutanese` or a class
+ * created by `createTibetanCalendar()`) for each call, so an instance can be
+ * shared safely.
+ */
+import CalendarTibetan from './Tibetan.js'
+import CalendarMongolian from './Mongolian.js'
+import CalendarBhutanese from './Bhutanese.js'
+import { fromJSONValue, parseCanonical } from './serialize.js'
+
+const FIELDS = ['cycle', 'year', 'month', 'leapMonth', 'day', 'leapDay']
+
+// calendar classes of the variants in `toJSON()` and `toString()`
+const VARIANTS = {
+  phugpa: CalendarTibetan,
+  mongolian: CalendarMongolian,
+  bhutanese: CalendarBhutanese
+}
+
+/**
+ * split the calendar class from the options of the calendar object
+ *
+ * @private
+ * @param {Object} [options]
+ * @throws {TypeError} if `options.calendar` is not a calendar class
+ * @return {Object} { Calendar, options }
+ */
+function splitOptions (options = {}) {
+  const { calendar = CalendarTibetan, ...rest } = options
+  if (calendar !== CalendarTibetan && !(calendar.prototype instanceof CalendarTibetan)) {
+    throw new TypeError(`calendar must be CalendarTibetan or a class derived from it, got ${calendar}`)
+  }
+  return { Calendar: calendar, options: rest }
+}
+
+export default class TibetanDate {
+  /**
+   * constructor
+   *
+   * @param {Number} cycle - tibetan 60 year cicle
+   * @param {Number} year - tibetan year of cycle
+   * @param {Number} month - tibetan month
+   * @param {Boolean} [leapMonth] - `true` if leap month
+   * @param {Number} day - tibetan day
+   * @param {Boolean} [leapDay] - `true` if leap day
+   * @param {Object} [options] - options of the calendar object, see `CalendarTibetan`
+   * @param {Function} [options.calendar] - calendar class; defaults to `CalendarTibetan`
+   * @throws {TypeError} on an invalid calendar class
+   * @throws {RangeError} if the option `strict` is set and the date is invalid
+   */
+  constructor (cycle, year, month, leapMonth, day, leapDay, options) {
+    const { Calendar, options: calOptions } = splitOptions(options)
+    this.cycle = cycle
+    this.year = year
+    this.month = month
+    this.leapMonth = !!leapMonth
+    this.day = day
+    this.leapDay = !!leapDay
+    this.calendar = Calendar
+    this.options = Object.freeze(calOptions)
+    // validates the date with the option `strict`
+    this._engine()
+    Object.freeze(this)
+  }
+
+  /**
+   * create a date from its parts
+   *
+   * @param {Number} cycle
+   * @param {Number} year
+   * @param {Number} month
+   * @param {Boolean} leapMonth
+   * @param {Number} day
+   * @param {Boolean} leapDay
+   * @param {Object} [options] - see constructor
+   * @return {TibetanDate}
+   */
+  static of (cycle, year, month, leapMonth, day, leapDay, options) {
+    return new this(cycle, year, month, leapMonth, day, leapDay, options)
+  }
+
+  /**
+   * create a date from a calendar object; later changes of the calendar
+   * object do not change the date
+   *
+   * @param {CalendarTibetan} cal
+   * @return {TibetanDate}
+   */
+  static fromCalendar (cal) {
+    return new this(...cal.get(), { ...cal._options, calendar: cal.constructor })
+  }
+
+  /**
+   * @param {Number} year - (int) year in Gregorian or Julian Calendar
+   * @param {Number} month - (int)
+   * @param {Number} day - civil date
+   * @param {Object} [options] - see constructor
+   * @return {TibetanDate}
+   */
+  static fromGregorian (year, month, day, options) {
+    const { Calendar, options: calOptions } = splitOptions(options)
+    return this.fromCalendar(new Calendar(calOptions).fromGregorian(year, month, day))
+  }
+
+  /**
+   * @param {Number} jd - Julian Date
+   * @param {Object} [options] - see constructor; `timeZone` and `dayStart` apply
+   * @return {TibetanDate}
+   */
+  static fromJD (jd, options) {
+    const { Calendar, options: calOptions } = splitOptions(options)
+    return this.fromCalendar(new Calendar(calOptions).fromJD(jd))
+  }
+
+  /**
+   * @param {Date} date - javascript date object
+   * @param {Object} [options] - see constructor; `timeZone` and `dayStart` apply
+   * @return {TibetanDate}
+   */
+  static fromDate (date, options) {
+    const { Calendar, options: calOptions } = splitOptions(options)
+    return this.fromCalendar(new Calendar(calOptions).fromDate(date))
+  }
+
+  /**
+   * create a date of a variant; the calendar class is looked up by the name
+   * of the variant unless given as option
+   *
+   * @private
+   * @param {Object} serialized - { variant, parts }
+   * @param {Object} [options] - see constructor
+   * @throws {RangeError} on an unknown variant, or another variant than of `options.calendar`
+   * @return {TibetanDate}
+   */
+  static _fromVariant ({ variant, parts }, options = {}) {
+    if (!options.calendar && !VARIANTS[variant]) {
+      throw new RangeError(`unknown calendar "${variant}"; give the calendar class as option calendar`)
+    }
+    const { Calendar, options: calOptions } = splitOptions({ calendar: VARIANTS[variant], ...options })
+    return this.fromCalendar(Calendar._fromVariant(variant, parts, calOptions))
+  }
+
+  /**
+   * create a date from the result of `toJSON()`
+   *
+   * @param {Object} json - { calendar, cycle, year, month, leapMonth, day, leapDay }
+   * @param {Object} [options] - see constructor; `options.calendar` is only needed for
+   *   classes created by `createTibetanCalendar()`
+   * @throws {TypeError|RangeError} if `json` is invalid or of another variant
+   * @return {TibetanDate}
+   */
+  static fromJSON (json, options) {
+    return this._fromVariant(fromJSONValue(json), options)
+  }
+
+  /**
+   * create a date from the result of `toString()`
+   *
+   * @param {String} str - canonical string, e.g. `phugpa:17-39-03L-19`
+   * @param {Object} [options] - see `fromJSON()`
+   * @throws {TypeError|RangeError} if `str` is not canonical or of another variant
+   * @return {TibetanDate}
+   */
+  static fromString (str, options) {
+    return this._fromVariant(parseCanonical(str), options)
+  }
+
+  /**
+   * new calendar object set to this date
+   *
+   * @private
+   * @return {CalendarTibetan}
+   */
+  _engine () {
+    const Calendar = this.calendar
+    return new Calendar(...this.get(), this.options)
+  }
+
+  /**
+   * get a mutable calendar object of this date
+   *
+   * @return {CalendarTibetan} new calendar object
+   */
+  toCalendar () {
+    return this._engine()
+  }
+
+  /**
+   * get the same civil day in another calendar variant
+   *
+   * @param {Function} Calendar - `CalendarTibetan` or a class derived from it
+   * @throws {TypeError} if `Calendar` is not a calendar class
+   * @return {TibetanDate} new date of the calendar `Calendar` with the same options,
+   *   see `CalendarTibetan#convertTo()`
+   */
+  convertTo (Calendar) {
+    return this.constructor.fromCalendar(this._engine().convertTo(Calendar))
+  }
+
+  /**
+   * get a date with some parts replaced
+   *
+   * @param {Object} fields - `{ cycle, year, month, leapMonth, day, leapDay }`, each optional
+   * @throws {TypeError} on an unknown field
+   * @throws {RangeError} if the option `strict` is set and the date is invalid
+   * @return {TibetanDate} new date
+   */
+  with (fields) {
+    for (const key of Object.keys(fields)) {
+      if (!FIELDS.includes(key)) {
+        throw new TypeError(`unknown field "${key}"; expected one of ${FIELDS.join(', ')}`)
+      }
+    }
+    const parts = FIELDS.map((key) => fields[key] === undefined ? this[key] : fields[key])
+    return new this.constructor(...parts, { ...this.options, calendar: this.calendar })
+  }
+
+  /**
+   * @return {Array<Number|Boolean>} [cycle, year, month, leapMonth, day, leapDay]
+   */
+  get () {
+    return [this.cycle, this.year, this.month, this.leapMonth, this.day, this.leapDay]
+  }
+
+  /**
+   * @return {Boolean} `true` if the date exists, see `CalendarTibetan#isValid()`
+   */
+  isValid () {
+    return this._engine().isValid()
+  }
+
+  /**
+   * @param {Object} [options] - see `CalendarTibetan#toJDN()`
+   * @return {Number} JDN
+   */
+  toJDN (options) {
+    return this._engine().toJDN(options)
+  }
+
+  /**
+   * @param {Object} [options] - see `CalendarTibetan#toGregorian()`
+   * @return {Object} { year, month, day }
+   */
+  toGregorian (options) {
+    return this._engine().toGregorian(options)
+  }
+
+  /**
+   * @param {Object} [options] - see `CalendarTibetan#toDate()`
+   * @return {Date}
+   */
+  toDate (options) {
+    return this._engine().toDate(options)
+  }
+
+  /**
+   * @param {String} pattern - see `CalendarTibetan#format()`
+   * @param {String} [locale]
+   * @return {String}
+   */
+  format (pattern, locale) {
+    return this._engine().format(pattern, locale)
+  }
+
+  /**
+   * @param {String} [locale]
+   * @return {Object} see `CalendarTibetan#getYearName()`
+   */
+  getYearName (locale) {
+    return this._engine().getYearName(locale)
+  }
+
+  /**
+   * @param {String} [locale]
+   * @param {String} [naming]
+   * @return {Object} see `CalendarTibetan#getMonthName()`
+   */
+  getMonthName (locale, naming) {
+    return this._engine().getMonthName(locale, naming)
+  }
+
+  /**
+   * @return {Object|null} { calendar, cycle, year, month, leapMonth, day, leapDay },
+   *   see `CalendarTibetan#toJSON()`; the options are not included
+   */
+  toJSON () {
+    return this._engine().toJSON()
+  }
+
+  /**
+   * @return {String} canonical string, e.g. `phugpa:17-39-03L-19`, see `CalendarTibetan#toString()`
+   */
+  toString () {
+    return this._engine().toString()
+  }
+
+  /**
+   * @return {Number} position in time for ordering, see `CalendarTibetan#valueOf()`
+   */
+  valueOf () {
+    return this._engine().valueOf()
+  }
+
+  /**
+   * compare two dates in time; usable with `Array.prototype.sort()`
+   *
+   * @param {TibetanDate|CalendarTibetan} a
+   * @param {TibetanDate|CalendarTibetan} b
+   * @return {Number} -1, 0 or 1, see `CalendarTibetan.compare()`
+   */
+  static compare (a, b) {
+    return CalendarTibetan.compare(a, b)
+  }
+
+  /**
+   * @param {TibetanDate|CalendarTibetan} other - of any calendar variant
+   * @return {Number} -1, 0 or 1, see `CalendarTibetan#compare()`
+   */
+  compare (other) {
+    return CalendarTibetan.compare(this, other)
+  }
+
+  /**
+   * check if another date has the same calendar variant and date parts
+   *
+   * @param {TibetanDate} other
+   * @return {Boolean}
+   */
+  equals (other) {
+    return other instanceof TibetanDate &&
+      other.calendar === this.calendar &&
+      FIELDS.every((key) => other[key] === this[key])
+  }
+
+  /**
+   * @param {TibetanDate|CalendarTibetan} other - of any calendar variant
+   * @return {Boolean} `true` if this date is before `other`
+   */
+  isBefore (other) {
+    return this.compare(other) < 0
+  }
+
+  /**
+   * @param {TibetanDate|CalendarTibetan} other - of any calendar variant
+   * @return {Boolean} `true` if this date is after `other`
+   */
+  isAfter (other) {
+    return this.compare(other) > 0
+  }
+
+  /**
+   * @param {Number} days - (int) civil days, may be negative
+   * @return {TibetanDate} new date
+   */
+  addDays (days) {
+    return this.constructor.fromCalendar(this._engine().addDays(days))
+  }
+
+  /**
+   * @param {Number} lunarDays - (int) lunar days, may be negative; see `CalendarTibetan#addLunarDays()`
+   * @return {TibetanDate} new date
+   */
+  addLunarDays (lunarDays) {
+    return this.constructor.fromCalendar(this._engine().addLunarDays(lunarDays))
+  }
+
+  /**
+   * @param {Number} months - (int) months, may be negative; see `CalendarTibetan#addMonths()`
+   * @return {TibetanDate} new date
+   */
+  addMonths (months) {
+    return this.constructor.fromCalendar(this._engine().addMonths(months))
+  }
+
+  /**
+   * @param {Number} years - (int) years, may be negative; see `CalendarTibetan#addYears()`
+   * @return {TibetanDate} new date
+   */
+  addYears (years) {
+    return this.constructor.fromCalendar(this._engine().addYears(years))
+  }
+
+  /**
+   * @param {TibetanDate|CalendarTibetan} other
+   * @return {Object} { days, lunarDays, months, years }, see `CalendarTibetan#diff()`
+   */
+  diff (other) {
+    return this._engine().diff(other instanceof TibetanDate ? other._engine() : other)
+  }
+}
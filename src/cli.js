@@ -0,0 +1,366 @@
+/**
+ * Command-line interface, see `bin/date-tibetan.js`.
+ *
+ * Tibetan dates are written as `cycle-year-month-day`; an `L` after the month
+ * or the day marks a leap month or a leap day, e.g. `17-37-12L-5`.
+ */
+import { CalendarTibetan, CalendarMongolian, CalendarBhutanese } from './index.js'
+
+export const CALENDARS = {
+  tibetan: CalendarTibetan,
+  mongolian: CalendarMongolian,
+  bhutanese: CalendarBhutanese
+}
+
+export const USAGE = `Usage: date-tibetan [options] <command> [arguments]
+
+Commands:
+  gregorian [YYYY-MM-DD]   convert a Gregorian date; defaults to today
+  jd <JD>                  convert a Julian Date
+  tibetan <C-Y-M-D>        convert a tibetan date, e.g. 17-37-12L-5
+  month <YYYY> <M>         print a month of the year beginning in the
+                           Gregorian year YYYY; M is e.g. 3 or 3L
+  year <YYYY>              list the months of the year beginning in the
+                           Gregorian year YYYY
+
+Options:
+  -c, --calendar <name>          ${Object.keys(CALENDARS).join(', ')}; defaults to tibetan
+  -d, --disambiguation <value>   earlier, later or reject, see toJDN()
+  -l, --locale <locale>          en, wylie, bo, dz or mn; defaults to en
+  -j, --json                     print JSON
+  -h, --help                     print this help
+`
+
+const OPTIONS = {
+  '-c': 'calendar',
+  '--calendar': 'calendar',
+  '-d': 'disambiguation',
+  '--disambiguation': 'disambiguation',
+  '-l': 'locale',
+  '--locale': 'locale'
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+/**
+ * split the command-line arguments into options and positional arguments
+ *
+ * @private
+ * @param {Array<String>} args
+ * @throws {RangeError} on an unknown option or a missing value
+ * @return {Object} { options, positionals }
+ */
+function parseArgs (args) {
+  const options = { calendar: 'tibetan', locale: 'en', json: false, help: false }
+  const positionals = []
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+    if (arg === '-j' || arg === '--json') {
+      options.json = true
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true
+    } else if (OPTIONS[arg]) {
+      if (i + 1 >= args.length) {
+        throw new RangeError(`option ${arg} needs a value`)
+      }
+      options[OPTIONS[arg]] = args[++i]
+    } else if (/^-[^\d]/.test(arg)) {
+      throw new RangeError(`unknown option ${arg}`)
+    } else {
+      positionals.push(arg)
+    }
+  }
+  if (!CALENDARS[options.calendar]) {
+    throw new RangeError(`unknown calendar "${options.calendar}"; expected one of ${Object.keys(CALENDARS).join(', ')}`)
+  }
+  return { options, positionals }
+}
+
+/**
+ * parse an integer argument
+ *
+ * @private
+ * @param {String} value
+ * @param {String} name - name of the argument for the error message
+ * @throws {RangeError} if `value` is not an integer
+ * @return {Number}
+ */
+function parseInteger (value, name) {
+  if (!/^-?\d+$/.test(value || '')) {
+    throw new RangeError(`${name} must be an integer, got "${value}"`)
+  }
+  return Number(value)
+}
+
+/**
+ * parse a month as `M` or `ML`
+ *
+ * @private
+ * @param {String} value
+ * @throws {RangeError} on an invalid month
+ * @return {Object} { month, leapMonth }
+ */
+function parseMonth (value) {
+  const m = /^(\d{1,2})(L?)$/i.exec(value || '')
+  if (!m) {
+    throw new RangeError(`month must be like 3 or 3L, got "${value}"`)
+  }
+  return { month: Number(m[1]), leapMonth: m[2] !== '' }
+}
+
+/**
+ * parse a tibetan date as `C-Y-M[L]-D[L]`
+ *
+ * @private
+ * @param {String} value
+ * @throws {RangeError} on an invalid date
+ * @return {Array} [cycle, year, month, leapMonth, day, leapDay]
+ */
+function parseTibetan (value) {
+  const m = /^(\d+)-(\d+)-(\d+)(L?)-(\d+)(L?)$/i.exec(value || '')
+  if (!m) {
+    throw new RangeError(`tibetan date must be like 17-37-12L-5, got "${value}"`)
+  }
+  return [Number(m[1]), Number(m[2]), Number(m[3]), m[4] !== '', Number(m[5]), m[6] !== '']
+}
+
+/**
+ * parse a Gregorian date as `YYYY-MM-DD`
+ *
+ * @private
+ * @param {String} [value] - defaults to today
+ * @throws {RangeError} on an invalid date
+ * @return {Object} { year, month, day }
+ */
+function parseGregorian (value) {
+  if (value === undefined) {
+    const now = new Date()
+    return { year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate() }
+  }
+  const m = /^(-?\d+)-(\d{1,2})-(\d{1,2})$/.exec(value)
+  if (!m) {
+    throw new RangeError(`Gregorian date must be like 2024-02-10, got "${value}"`)
+  }
+  return { year: Number(m[1]), month: Number(m[2]), day: Number(m[3]) }
+}
+
+function pad (value, length, char = '0') {
+  return String(value).padStart(length, char)
+}
+
+function formatGregorian ({ year, month, day }) {
+  return `${year}-${pad(month, 2)}-${pad(day, 2)}`
+}
+
+function formatTibetan (cycle, year, month, leapMonth, day, leapDay) {
+  return `${cycle}-${year}-${month}${leapMonth ? 'L' : ''}-${day}${leapDay ? 'L' : ''}`
+}
+
+/**
+ * describe a civil day
+ *
+ * @private
+ * @param {CalendarTibetan} cal
+ * @param {String} calendar - name of the calendar
+ * @param {Object} options
+ * @return {Object}
+ */
+function describeDay (cal, calendar, options) {
+  const [cycle, year, month, leapMonth, day, leapDay] = cal.get()
+  return {
+    calendar,
+    tibetan: { cycle, year, month, leapMonth, day, leapDay },
+    gregorian: cal.toGregorian(options),
+    jdn: cal.toJDN(options),
+    weekday: cal.format('EEEE', options.locale),
+    monthName: cal.getMonthName(options.locale).name,
+    yearName: cal.getYearName(options.locale)
+  }
+}
+
+function printDay (info) {
+  const { cycle, year, month, leapMonth, day, leapDay } = info.tibetan
+  return [
+    `Tibetan:   ${formatTibetan(cycle, year, month, leapMonth, day, leapDay)} (${info.calendar})`,
+    `Gregorian: ${formatGregorian(info.gregorian)}`,
+    `JDN:       ${info.jdn}`,
+    `Weekday:   ${info.weekday}`,
+    `Month:     ${info.monthName}`,
+    `Year:      ${info.yearName.sexagenary} (${info.yearName.name})`
+  ].join('\n')
+}
+
+/**
+ * describe a tibetan month
+ *
+ * @private
+ * @param {typeof CalendarTibetan} Calendar
+ * @param {String} calendar - name of the calendar
+ * @param {Number} gyear - Gregorian year in which the tibetan year begins
+ * @param {Object} month - { month, leapMonth }
+ * @param {Object} options
+ * @throws {RangeError} if the month does not exist in the year
+ * @return {Object}
+ */
+function describeMonth (Calendar, calendar, gyear, { month, leapMonth }, options) {
+  const { cycle, year, months } = new Calendar().getYearInfo(gyear)
+  if (!months.some((m) => m.month === month && m.leapMonth === leapMonth)) {
+    throw new RangeError(`there is no month ${month}${leapMonth ? 'L' : ''} in the year beginning in ${gyear}`)
+  }
+  const cal = new Calendar(cycle, year, month, leapMonth, 1, false)
+  const { days, skippedDays } = cal.getMonthDays()
+  const doubledDays = days.filter((d) => d.leapDay).map((d) => d.day)
+  return {
+    calendar,
+    cycle,
+    year,
+    month,
+    leapMonth,
+    name: cal.getMonthName(options.locale).name,
+    days,
+    doubledDays,
+    skippedDays
+  }
+}
+
+function printMonth (info) {
+  const { days, doubledDays, skippedDays } = info
+  const first = days[0]
+  const last = days[days.length - 1]
+  const lines = [
+    `${info.name} ${info.cycle}-${info.year}-${info.month}${info.leapMonth ? 'L' : ''} ` +
+      `(${formatGregorian(first.gregorian)} - ${formatGregorian(last.gregorian)}, ${info.calendar})`,
+    WEEKDAYS.map((w) => w.padEnd(6)).join(' ').trimEnd()
+  ]
+  let cells = new Array(first.weekday).fill('      ')
+  days.forEach((d, i) => {
+    // * doubled day, ! day after a skipped day
+    const mark = doubledDays.includes(d.day) ? '*' : skippedDays.includes(d.day - 1) ? '!' : ' '
+    cells.push(`${pad(d.day, 2, ' ')}${mark} ${pad(d.gregorian.day, 2, ' ')}`)
+    if (cells.length === 7 || i === days.length - 1) {
+      lines.push(cells.join(' ').trimEnd())
+      cells = []
+    }
+  })
+  lines.push(
+    `* doubled: ${doubledDays.join(', ') || '-'}`,
+    `! skipped: ${skippedDays.join(', ') || '-'}`
+  )
+  return lines.join('\n')
+}
+
+/**
+ * describe a tibetan year
+ *
+ * @private
+ * @param {typeof CalendarTibetan} Calendar
+ * @param {String} calendar - name of the calendar
+ * @param {Number} gyear - Gregorian year in which the tibetan year begins
+ * @param {Object} options
+ * @return {Object}
+ */
+function describeYear (Calendar, calendar, gyear, options) {
+  const info = new Calendar().getYearInfo(gyear)
+  const cal = new Calendar(info.cycle, info.year, 1, false, 1, false)
+  return {
+    calendar,
+    ...info,
+    yearName: cal.getYearName(options.locale),
+    months: info.months.map((m) => {
+      cal.set(info.cycle, info.year, m.month, m.leapMonth, 1, false)
+      return { ...m, name: cal.getMonthName(options.locale).name }
+    })
+  }
+}
+
+function printYear (info) {
+  const lines = [
+    `${info.cycle}-${info.year} ${info.yearName.sexagenary} (${info.yearName.name}), ${info.calendar}`,
+    `Leap month: ${info.leapMonth || '-'}, ${info.length} days`,
+    'M    First       Last        Days  Name'
+  ]
+  for (const m of info.months) {
+    lines.push([
+      `${m.month}${m.leapMonth ? 'L' : ''}`.padEnd(4),
+      formatGregorian(m.first.gregorian),
+      formatGregorian(m.last.gregorian),
+      String(m.length).padStart(4),
+      m.name
+    ].join('  '))
+  }
+  return lines.join('\n')
+}
+
+/**
+ * run the command-line tool
+ *
+ * @param {Array<String>} args - command-line arguments without `node` and the script
+ * @param {Object} [io] - `{ stdout, stderr }` with a `write()` method each;
+ *   defaults to `process.stdout` and `process.stderr`
+ * @return {Number} exit code
+ */
+export function run (args, io = {}) {
+  const { stdout = process.stdout, stderr = process.stderr } = io
+  let parsed
+  try {
+    parsed = parseArgs(args)
+  } catch (e) {
+    stderr.write(`date-tibetan: ${e.message}\n${USAGE}`)
+    return 2
+  }
+  const { options, positionals: [command, ...rest] } = parsed
+  if (options.help || command === undefined) {
+    stdout.write(USAGE)
+    return 0
+  }
+
+  const Calendar = CALENDARS[options.calendar]
+  const calOptions = {
+    locale: options.locale,
+    ...(options.disambiguation && { disambiguation: options.disambiguation })
+  }
+  let info
+  let text
+  try {
+    switch (command) {
+      case 'gregorian': {
+        const { year, month, day } = parseGregorian(rest[0])
+        info = describeDay(new Calendar().fromGregorian(year, month, day), options.calendar, calOptions)
+        text = printDay(info)
+        break
+      }
+      case 'jd': {
+        const jd = Number(rest[0])
+        if (rest[0] === undefined || !Number.isFinite(jd)) {
+          throw new RangeError(`JD must be a number, got "${rest[0]}"`)
+        }
+        info = describeDay(new Calendar().fromJD(jd), options.calendar, calOptions)
+        text = printDay(info)
+        break
+      }
+      case 'tibetan': {
+        const cal = new Calendar(...parseTibetan(rest[0]))
+        cal.toJDN(calOptions) // throws with 'reject'
+        info = describeDay(cal, options.calendar, calOptions)
+        text = printDay(info)
+        break
+      }
+      case 'month':
+        info = describeMonth(Calendar, options.calendar, parseInteger(rest[0], 'year'), parseMonth(rest[1]), calOptions)
+        text = printMonth(info)
+        break
+      case 'year':
+        info = describeYear(Calendar, options.calendar, parseInteger(rest[0], 'year'), calOptions)
+        text = printYear(info)
+        break
+      default:
+        stderr.write(`date-tibetan: unknown command "${command}"\n${USAGE}`)
+        return 2
+    }
+  } catch (e) {
+    stderr.write(`date-tibetan: ${e.message}\n`)
+    return 1
+  }
+  stdout.write(options.json ? `${JSON.stringify(info, null, 2)}\n` : `${text}\n`)
+  return 0
+}
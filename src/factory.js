@@ -0,0 +1,149 @@
+/**
+ * Factory for calendar variants defined by their epoch constants.
+ *
+ * The variants differ from the Phugpa calendar only in the epoch values
+ * m0, s0, a0, p0 of the mean date, mean sun, anomaly of the moon and the
+ * leap month rule, the epoch year, and the local standard time.
+ * (Janson, Section 5 and Appendix C)
+ */
+import CalendarTibetan from './Tibetan.js'
+import { checkVariant } from './serialize.js'
+
+const LEAP_RULES = ['phugpa', 'bhutanese']
+
+// leap month cycle: 65 solar months take as long as 67 true months
+const SOLAR_MONTHS = 65
+const TRUE_MONTHS = 67
+
+function checkNumber (params, name, min = -Infinity, max = Infinity) {
+  const value = params[name]
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new TypeError(`${name} must be a finite number, got ${value}`)
+  }
+  if (value < min || value > max) {
+    throw new RangeError(`${name} ${value} is out of range ${min} to ${max}`)
+  }
+}
+
+/**
+ * validate calendar parameters and fill in the defaults
+ *
+ * @private
+ * @param {Object} params - see `createTibetanCalendar()`
+ * @return {Object} params
+ */
+function checkParams (params) {
+  const p = Object.assign({ leapRule: 'phugpa', tzOffset: 6 + 4 / 60, dayStart: 5, variant: 'custom' }, params)
+  checkNumber(p, 'm0')
+  checkNumber(p, 's0')
+  checkNumber(p, 'a0')
+  checkNumber(p, 'p0')
+  checkNumber(p, 'tzOffset', -14, 14)
+  checkNumber(p, 'dayStart', 0, 24)
+  if (!Number.isInteger(p.epochYear)) {
+    throw new TypeError(`epochYear must be an integer, got ${p.epochYear}`)
+  }
+  if (!LEAP_RULES.includes(p.leapRule)) {
+    throw new RangeError(`unknown leapRule "${p.leapRule}"; expected one of ${LEAP_RULES.join(', ')}`)
+  }
+  checkVariant(p.variant, 'variant')
+  return p
+}
+
+/**
+ * create a calendar class from epoch constants
+ *
+ * @param {Object} params
+ * @param {Number} params.m0 - mean date at the epoch (JD)
+ * @param {Number} params.s0 - mean longitude of the sun at the epoch (fraction of a revolution)
+ * @param {Number} params.a0 - anomaly of the moon at the epoch (fraction of a revolution)
+ * @param {Number} params.p0 - leap month constant (fraction of a revolution)
+ * @param {Number} params.epochYear - (int) year of the epoch
+ * @param {String} [params.leapRule] - `'phugpa'` (leap month precedes the regular month)
+ *   or `'bhutanese'` (leap month follows the regular month); defaults to `'phugpa'`
+ * @param {Number} [params.tzOffset] - local standard time in hours east of UTC;
+ *   defaults to Lhasa mean time (6:04)
+ * @param {Number} [params.dayStart] - local hour at which the day begins; defaults to 5 (daybreak)
+ * @param {String} [params.name] - name of the class
+ * @param {String} [params.variant] - name of the variant in `toJSON()` and `toString()`;
+ *   defaults to `'custom'`
+ * @throws {TypeError|RangeError} if a parameter is invalid
+ * @return {Function} calendar class extending `CalendarTibetan`
+ */
+export function createTibetanCalendar (params) {
+  const p = checkParams(params)
+  const Calendar = class extends CalendarTibetan {
+    constructor (cycle, year, month, leapMonth, day, leapDay, options) {
+      super()
+
+      this._M0 = p.m0
+      this._S0 = p.s0
+      this._A0 = p.a0
+      this._P0 = p.p0
+      this._EPOCH_YEAR = p.epochYear
+      this._IS_BHUTAN_LEAP = p.leapRule === 'bhutanese'
+      this._VARIANT = p.variant
+
+      this._JD_OFFSET_STD_TIME = p.tzOffset / 24
+      this._JD_OFFSET_DAY_START = (-p.dayStart + 12) / 24
+
+      this._init(cycle, year, month, leapMonth, day, leapDay, options)
+    }
+  }
+  Object.defineProperty(Calendar, 'name', { value: p.name || 'CalendarCustom' })
+  return Calendar
+}
+
+/**
+ * get the parameters of an existing calendar class
+ *
+ * @param {Function} Calendar - `CalendarTibetan` or a class derived from it
+ * @return {Object} { m0, s0, a0, p0, epochYear, leapRule, tzOffset, dayStart, variant }
+ */
+export function getCalendarParams (Calendar) {
+  const cal = new Calendar()
+  return {
+    m0: cal._M0,
+    s0: cal._S0,
+    a0: cal._A0,
+    p0: cal._P0,
+    epochYear: cal._EPOCH_YEAR,
+    leapRule: cal._IS_BHUTAN_LEAP ? 'bhutanese' : 'phugpa',
+    tzOffset: cal._JD_OFFSET_STD_TIME * 24,
+    dayStart: 12 - cal._JD_OFFSET_DAY_START * 24,
+    variant: cal._VARIANT
+  }
+}
+
+/**
+ * move the epoch of a calendar to another year without changing the calendar
+ *
+ * The true month count is shifted by the whole number of months `k` closest
+ * to the difference of the epochs; the epoch values are advanced by `k` months
+ * and p0 is adjusted so that the leap months stay the same.
+ *
+ * @param {Object} params - see `createTibetanCalendar()`
+ * @param {Number} epochYear - (int) new epoch year
+ * @return {Object} params with the new epoch
+ */
+export function rebaseEpoch (params, epochYear) {
+  const p = checkParams(params)
+  if (!Number.isInteger(epochYear)) {
+    throw new TypeError(`epochYear must be an integer, got ${epochYear}`)
+  }
+  const cal = new CalendarTibetan()
+  const years = epochYear - p.epochYear
+  const k = Math.round(12 * years * TRUE_MONTHS / SOLAR_MONTHS)
+
+  const alpha = 12 * (p.s0 - p.p0) + (SOLAR_MONTHS * k - 12 * TRUE_MONTHS * years) / TRUE_MONTHS
+  const s0 = p.s0 + k * cal._S1
+  const s0Int = Math.floor(s0)
+  const a0 = p.a0 + k * cal._A1
+  return Object.assign({}, p, {
+    m0: p.m0 + k * cal._M1,
+    s0: s0 - s0Int,
+    a0: a0 - Math.floor(a0),
+    p0: s0 - s0Int - alpha / 12,
+    epochYear
+  })
+}
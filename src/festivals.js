@@ -0,0 +1,167 @@
+/**
+ * Buddhist festivals (dus chen), national holidays and monthly observances.
+ *
+ * Rules:
+ *   - if the month is doubled, annual festivals are held in the regular month,
+ *     which is the second of the two months under the Phugpa rule and the first
+ *     under the Bhutanese rule (Janson, Section 5); monthly observances are held
+ *     in both. This agrees with the published dates of Chotrul Duchen 2019
+ *     (21 March) and Saga Dawa Duchen 2016 (20 June), each in a year with the
+ *     month doubled.
+ *   - if the day is doubled, the observance is held on the second of the two
+ *     days by default; the first is the leap day (Janson, Section 6)
+ *   - if the day is skipped, the observance is held by default on the preceding
+ *     day, the civil day on which the skipped lunar day begins and ends
+ *   - the new year (Losar, Tsagaan Sar) is the first civil day of the year
+ *
+ * Local customs differ for doubled and skipped days, so both can be chosen
+ * with the options of `getFestivals()`.
+ */
+
+/**
+ * annual festivals of each calendar variant:
+ * `{ id, name, month, day[, newYear] }`
+ */
+export const FESTIVALS = {
+  phugpa: [
+    { id: 'losar', name: 'Losar', month: 1, day: 1, newYear: true },
+    { id: 'chotrul-duchen', name: 'Chotrul Duchen', month: 1, day: 15 },
+    { id: 'saga-dawa-duchen', name: 'Saga Dawa Duchen', month: 4, day: 15 },
+    { id: 'chokhor-duchen', name: 'Chokhor Duchen', month: 6, day: 4 },
+    { id: 'lhabab-duchen', name: 'Lhabab Duchen', month: 9, day: 22 }
+  ],
+  bhutanese: [
+    { id: 'losar', name: 'Losar', month: 1, day: 1, newYear: true },
+    { id: 'zhabdrung-kuchoe', name: 'Zhabdrung Kuchoe', month: 3, day: 10 },
+    { id: 'parinirvana', name: 'Lord Buddha\'s Parinirvana', month: 4, day: 15 },
+    { id: 'guru-rinpoche-birth', name: 'Birth Anniversary of Guru Rinpoche', month: 5, day: 10 },
+    { id: 'first-sermon', name: 'First Sermon of Lord Buddha', month: 6, day: 4 },
+    { id: 'descending-day', name: 'Descending Day of Lord Buddha', month: 9, day: 22 },
+    { id: 'offering-day', name: 'Traditional Day of Offering', month: 12, day: 1 }
+  ],
+  mongolian: [
+    { id: 'tsagaan-sar', name: 'Tsagaan Sar', month: 1, day: 1, newYear: true },
+    { id: 'chotrul-duchen', name: 'Chotrul Duchen', month: 1, day: 15 },
+    { id: 'saga-dawa-duchen', name: 'Saga Dawa Duchen', month: 4, day: 15 },
+    { id: 'chokhor-duchen', name: 'Chokhor Duchen', month: 6, day: 4 },
+    { id: 'lhabab-duchen', name: 'Lhabab Duchen', month: 9, day: 22 },
+    { id: 'chinggis-khaan-birthday', name: 'Chinggis Khaan\'s Birthday', month: 10, day: 1 }
+  ]
+}
+
+/**
+ * observances held every month: `{ id, name, day }`
+ */
+export const MONTHLY_OBSERVANCES = [
+  { id: 'medicine-buddha', name: 'Medicine Buddha Day', day: 8 },
+  { id: 'guru-rinpoche', name: 'Guru Rinpoche Day', day: 10 },
+  { id: 'full-moon', name: 'Full Moon', day: 15 },
+  { id: 'dakini', name: 'Dakini Day', day: 25 },
+  { id: 'new-moon', name: 'New Moon', day: 30 }
+]
+
+const RANGES = ['gregorian', 'tibetan']
+
+const DOUBLED_DAYS = ['first', 'second']
+
+const SKIPPED_DAYS = ['earlier', 'later']
+
+function checkOption (name, value, values) {
+  if (!values.includes(value)) {
+    throw new RangeError(`unknown ${name} "${value}"; expected one of ${values.join(', ')}`)
+  }
+}
+
+/**
+ * find the civil day of an observance in a month
+ *
+ * @private
+ * @param {CalendarTibetan} cal - calendar object set to the month
+ * @param {Object} monthDays - result of `cal.getMonthDays()`
+ * @param {Number} day - lunar day of the observance
+ * @param {Object} policy - { doubledDay, skippedDay }, see `getFestivals()`
+ * @return {Object} { jdn, adjustment }
+ */
+function observe (cal, monthDays, day, { doubledDay, skippedDay }) {
+  cal._set(cal.cycle, cal.year, cal.month, cal.leapMonth, day, false)
+  if (monthDays.skippedDays.includes(day)) {
+    return { jdn: cal.toJDN({ disambiguation: skippedDay }), adjustment: 'skipped' }
+  }
+  const doubled = monthDays.days.filter((d) => d.day === day).length > 1
+  if (!doubled) {
+    return { jdn: cal.toJDN(), adjustment: null }
+  }
+  // the first of two doubled days is the leap day
+  cal._set(cal.cycle, cal.year, cal.month, cal.leapMonth, day, doubledDay === 'first')
+  return { jdn: cal.toJDN(), adjustment: 'doubled' }
+}
+
+/**
+ * list the festivals and observances in a range of years
+ *
+ * @param {CalendarTibetan} cal - calendar object of the variant
+ * @param {Number} startYear - (int) first year
+ * @param {Number} endYear - (int) last year
+ * @param {Object} [options]
+ * @param {String} [options.range] - `'gregorian'` (default) for Gregorian years, or
+ *   `'tibetan'` for tibetan years given by the Gregorian year in which they begin
+ * @param {Boolean} [options.monthly] - include monthly observances; defaults to `true`
+ * @param {String} [options.doubledDay] - `'second'` (default) or `'first'` of two doubled days
+ * @param {String} [options.skippedDay] - `'earlier'` (default) for the preceding day of a
+ *   skipped day, or `'later'` for the following day
+ * @throws {RangeError} on an unknown range, doubledDay or skippedDay
+ * @return {Array<Object>} sorted by date
+ */
+export function getFestivals (cal, startYear, endYear, options = {}) {
+  const { range = 'gregorian', monthly = true, doubledDay = 'second', skippedDay = 'earlier' } = options
+  checkOption('range', range, RANGES)
+  checkOption('doubledDay', doubledDay, DOUBLED_DAYS)
+  checkOption('skippedDay', skippedDay, SKIPPED_DAYS)
+  const policy = { doubledDay, skippedDay }
+  const Calendar = cal.constructor
+  const tmp = new Calendar()
+  const result = []
+  const add = (observance, jdn, adjustment, isMonthly) => {
+    const gregorian = tmp._jdnToGregorian(jdn)
+    if (range === 'gregorian' && (gregorian.year < startYear || gregorian.year > endYear)) {
+      return
+    }
+    tmp.fromGregorian(gregorian.year, gregorian.month, gregorian.day)
+    result.push({
+      id: observance.id,
+      name: observance.name,
+      monthly: isMonthly,
+      date: tmp.get(),
+      jdn,
+      gregorian,
+      adjustment
+    })
+  }
+
+  // a tibetan year begins in February or March of the Gregorian year
+  const first = range === 'gregorian' ? startYear - 1 : startYear
+  for (let gyear = first; gyear <= endYear; gyear++) {
+    const info = cal.getYearInfo(gyear)
+    info.months.forEach(({ month, leapMonth }) => {
+      const month0 = new Calendar(info.cycle, info.year, month, leapMonth, 1, false)
+      const monthDays = month0.getMonthDays()
+      if (!leapMonth) {
+        for (const festival of cal._FESTIVALS.filter((f) => f.month === month)) {
+          if (festival.newYear) {
+            add(festival, info.losar.jdn, null, false)
+          } else {
+            const { jdn, adjustment } = observe(month0, monthDays, festival.day, policy)
+            add(festival, jdn, adjustment, false)
+          }
+        }
+      }
+      if (monthly) {
+        for (const observance of MONTHLY_OBSERVANCES) {
+          const { jdn, adjustment } = observe(month0, monthDays, observance.day, policy)
+          add(observance, jdn, adjustment, true)
+        }
+      }
+    })
+  }
+  return result.sort((a, b) => a.jdn - b.jdn || (a.monthly - b.monthly))
+}
@@ -0,0 +1,166 @@
+/**
+ * Formatting and parsing of tibetan dates with pattern tokens.
+ *
+ * Tokens:
+ *   `C`          rab byung cycle
+ *   `Y`, `YY`    year of cycle, `YY` zero padded
+ *   `YYYY`       Gregorian year in which the tibetan year begins
+ *   `M`, `MM`    month, `MM` zero padded
+ *   `MMMM`       month name as given by `getMonthName()`, including the leap month
+ *   `L`          leap month marker (empty if not a leap month)
+ *   `D`, `DD`    day, `DD` zero padded
+ *   `l`          leap day marker (empty if not a leap day)
+ *   `N`          sexagenary year name, e.g. "Wood-Female-Snake"
+ *   `NNNN`       traditional rab byung year name, e.g. "sna tshogs dbyig"
+ *   `EEEE`       day of the week
+ *   `[...]`      literal text
+ *
+ * Numbers are written with Tibetan numerals (༠-༩) for the `bo` and `dz` locales.
+ */
+import {
+  WEEKDAY_NAMES, LEAP_MARKERS,
+  checkLocale, toTibetanDigits, fromTibetanDigits
+} from './names.js'
+
+const TOKENS = /\[[^\]]*\]|YYYY|YY|Y|C|MMMM|MM|M|DD|D|NNNN|N|EEEE|L|l/g
+
+function pad (num, len) {
+  return String(num).padStart(len, '0')
+}
+
+function escapeRegExp (str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * split a pattern into tokens and literal strings
+ *
+ * @private
+ * @param {String} pattern
+ * @return {Array<Object>} [{ token }|{ literal }]
+ */
+function tokenize (pattern) {
+  const parts = []
+  let last = 0
+  pattern.replace(TOKENS, (match, offset) => {
+    if (offset > last) {
+      parts.push({ literal: pattern.slice(last, offset) })
+    }
+    if (match[0] === '[') {
+      parts.push({ literal: match.slice(1, -1) })
+    } else {
+      parts.push({ token: match })
+    }
+    last = offset + match.length
+    return match
+  })
+  if (last < pattern.length) {
+    parts.push({ literal: pattern.slice(last) })
+  }
+  return parts
+}
+
+/**
+ * format a tibetan date
+ *
+ * @param {CalendarTibetan} cal - calendar object
+ * @param {String} pattern - e.g. `'C-YY-MM-DD'`
+ * @param {String} [locale] - one of `en`, `wylie`, `bo`, `dz`, `mn`; defaults to `en`
+ * @return {String}
+ */
+export function formatDate (cal, pattern, locale = 'en') {
+  checkLocale(locale)
+  const num = (locale === 'bo' || locale === 'dz') ? toTibetanDigits : String
+  return tokenize(pattern).map(({ token, literal }) => {
+    switch (token) {
+      case undefined: return literal
+      case 'C': return num(cal.cycle)
+      case 'Y': return num(cal.year)
+      case 'YY': return num(pad(cal.year, 2))
+      case 'YYYY': return num(cal._getGregorianYear())
+      case 'M': return num(cal.month)
+      case 'MM': return num(pad(cal.month, 2))
+      case 'MMMM': return cal.getMonthName(locale).name
+      case 'L': return cal.leapMonth ? LEAP_MARKERS[locale] : ''
+      case 'D': return num(cal.day)
+      case 'DD': return num(pad(cal.day, 2))
+      case 'l': return cal.leapDay ? LEAP_MARKERS[locale] : ''
+      case 'N': return cal.getYearName(locale).sexagenary
+      case 'NNNN': return cal.getYearName(locale).name
+      case 'EEEE': return WEEKDAY_NAMES[locale][(cal.toJDN() + 1) % 7]
+    }
+    return ''
+  }).join('')
+}
+
+/**
+ * parse a string formatted with `formatDate`
+ *
+ * The day of the week (`EEEE`) is matched but not used.
+ *
+ * @param {CalendarTibetan} cal - calendar object which receives the parsed date
+ * @param {String} str - formatted date
+ * @param {String} pattern - pattern used for formatting
+ * @param {String} [locale] - locale used for formatting; defaults to `en`
+ * @throws {RangeError} if `str` does not match `pattern`
+ * @return {CalendarTibetan} cal
+ */
+export function parseDate (cal, str, pattern, locale = 'en') {
+  checkLocale(locale)
+  const names = (list) => '(' + list
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|') + ')'
+  const marker = '(' + escapeRegExp(LEAP_MARKERS[locale]) + ')?'
+  // all names `monthFromName()` accepts in the locale, in any naming
+  const monthNames = cal._listMonthNames(locale)
+  const tokens = []
+  let source = ''
+  for (const { token, literal } of tokenize(pattern)) {
+    if (token === undefined) {
+      source += literal.split(/\s+/).map(escapeRegExp).join('\\s*')
+      continue
+    }
+    tokens.push(token)
+    switch (token) {
+      case 'MMMM': source += names(monthNames.map(({ name }) => name)); break
+      case 'EEEE': source += names(WEEKDAY_NAMES[locale]); break
+      case 'N': case 'NNNN': source += '(.+?)'; break
+      case 'L': case 'l': source += marker; break
+      default: source += '([0-9\\u0f20-\\u0f29]+)'
+    }
+  }
+  const match = new RegExp('^\\s*' + source + '\\s*$', 'iu').exec(str)
+  if (!match) {
+    throw new RangeError(`"${str}" does not match pattern "${pattern}"`)
+  }
+
+  const date = { leapMonth: false, leapDay: false }
+  let yearName
+  tokens.forEach((token, i) => {
+    const value = match[i + 1]
+    switch (token) {
+      case 'C': date.cycle = Number(fromTibetanDigits(value)); break
+      case 'Y': case 'YY': date.year = Number(fromTibetanDigits(value)); break
+      case 'YYYY':
+        Object.assign(date, cal.epochCycleFromYear(Number(fromTibetanDigits(value))))
+        break
+      case 'M': case 'MM': date.month = Number(fromTibetanDigits(value)); break
+      case 'MMMM': {
+        const { month, leapMonth } = cal.monthFromName(value)
+        date.month = month
+        date.leapMonth = date.leapMonth || leapMonth
+        break
+      }
+      case 'L': date.leapMonth = date.leapMonth || !!value; break
+      case 'D': case 'DD': date.day = Number(fromTibetanDigits(value)); break
+      case 'l': date.leapDay = !!value; break
+      case 'N': case 'NNNN': yearName = value; break
+    }
+  })
+  if (yearName !== undefined && date.year === undefined) {
+    date.year = cal.yearFromName(yearName, date.cycle).year
+  }
+  return cal.set(date.cycle, date.year, date.month, date.leapMonth, date.day, date.leapDay)
+}
@@ -0,0 +1,221 @@
+/**
+ * iCalendar (RFC 5545) export of tibetan dates and observances.
+ *
+ * Every event is an all-day event of civil days; a civil day is labelled by
+ * the lunar day current at its beginning (see `getMonthDays()`). Events are
+ * transparent, i.e. they do not block time in the calendar of the user.
+ */
+import { LEAP_MARKERS } from './names.js'
+
+const RANGES = ['gregorian', 'tibetan']
+
+const PRODID = '-//hnw//date-tibetan//EN'
+
+const textEncoder = new TextEncoder()
+
+function pad (value, length) {
+  return String(value).padStart(length, '0')
+}
+
+/**
+ * format a Gregorian date as DATE value
+ *
+ * @private
+ * @param {Object} gregorian - { year, month, day }
+ * @return {String} e.g. `20240210`
+ */
+function formatDate ({ year, month, day }) {
+  return `${pad(year, 4)}${pad(month, 2)}${pad(day, 2)}`
+}
+
+/**
+ * format a point in time as DATE-TIME value in UTC
+ *
+ * @private
+ * @param {Date} date
+ * @return {String} e.g. `20240210T120000Z`
+ */
+function formatDateTime (date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+/**
+ * escape a TEXT value
+ *
+ * @private
+ * @param {String} text
+ * @return {String}
+ */
+function escapeText (text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+}
+
+/**
+ * fold a content line into lines of at most 75 octets
+ *
+ * @private
+ * @param {String} line
+ * @return {String} lines separated by CRLF and a space
+ */
+function foldLine (line) {
+  const parts = []
+  let part = ''
+  let octets = 0
+  for (const char of line) {
+    const size = textEncoder.encode(char).length
+    // continuation lines begin with a space
+    if (octets + size > (parts.length ? 74 : 75)) {
+      parts.push(part)
+      part = ''
+      octets = 0
+    }
+    part += char
+    octets += size
+  }
+  parts.push(part)
+  return parts.join('\r\n ')
+}
+
+/**
+ * default summary of a civil day, e.g. `First month 1` or `Sixth month (leap) 4 leap`
+ *
+ * @private
+ * @param {CalendarTibetan} cal - calendar object set to the day
+ * @param {String} locale
+ * @return {String}
+ */
+function daySummary (cal, locale) {
+  const day = cal.format('D', locale)
+  return `${cal.getMonthName(locale).name} ${day}${cal.leapDay ? ` ${LEAP_MARKERS[locale]}` : ''}`
+}
+
+/**
+ * export tibetan dates and observances as iCalendar
+ *
+ * @param {CalendarTibetan} cal - calendar object of the variant
+ * @param {Number} startYear - (int) first year
+ * @param {Number} endYear - (int) last year
+ * @param {Object} [options]
+ * @param {String} [options.range] - `'gregorian'` (default) for Gregorian years, or
+ *   `'tibetan'` for tibetan years given by the Gregorian year in which they begin
+ * @param {String} [options.locale] - locale of the names; defaults to `en`
+ * @param {Boolean} [options.days] - an event for every civil day; defaults to `true`
+ * @param {Boolean} [options.monthStarts] - an event for the first day of every month
+ * @param {Boolean} [options.leapMonths] - an event spanning every leap month
+ * @param {Boolean} [options.skippedDays] - an event for every skipped lunar day on
+ *   the civil day in which it begins and ends
+ * @param {Boolean} [options.festivals] - events for the festivals, see `getFestivals()`
+ * @param {Boolean} [options.monthly] - events for the monthly observances
+ * @param {String} [options.doubledDay] - see `getFestivals()`
+ * @param {String} [options.skippedDay] - see `getFestivals()`
+ * @param {Function} [options.summary] - `(cal) => String` summary of a civil day
+ * @param {String} [options.name] - name of the calendar (`X-WR-CALNAME`)
+ * @param {Date} [options.timestamp] - `DTSTAMP` of the events; defaults to now
+ * @throws {RangeError} on an unknown range
+ * @return {String} iCalendar object with CRLF line endings
+ */
+export function toICS (cal, startYear, endYear, options = {}) {
+  const {
+    range = 'gregorian',
+    locale = 'en',
+    days = true,
+    monthStarts = false,
+    leapMonths = false,
+    skippedDays = false,
+    festivals = false,
+    monthly = false,
+    doubledDay,
+    skippedDay,
+    summary = (c) => daySummary(c, locale),
+    name,
+    timestamp = new Date()
+  } = options
+  if (!RANGES.includes(range)) {
+    throw new RangeError(`unknown range "${range}"; expected one of ${RANGES.join(', ')}`)
+  }
+  const Calendar = cal.constructor
+  const tmp = new Calendar()
+  const uidSuffix = `${Calendar.name.toLowerCase()}@date-tibetan`
+  const dtstamp = formatDateTime(timestamp)
+  const inRange = (gregorian) => range === 'tibetan' || (gregorian.year >= startYear && gregorian.year <= endYear)
+
+  const events = []
+  const add = (id, jdn, length, text, category, description) => {
+    events.push({
+      jdn,
+      lines: [
+        'BEGIN:VEVENT',
+        `UID:${jdn}-${id}-${uidSuffix}`,
+        `DTSTAMP:${dtstamp}`,
+        `DTSTART;VALUE=DATE:${formatDate(tmp._jdnToGregorian(jdn))}`,
+        `DTEND;VALUE=DATE:${formatDate(tmp._jdnToGregorian(jdn + length))}`,
+        `SUMMARY:${escapeText(text)}`,
+        ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+        `CATEGORIES:${category}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+      ]
+    })
+  }
+
+  // a tibetan year begins in February or March of the Gregorian year
+  const first = range === 'gregorian' ? startYear - 1 : startYear
+  for (let gyear = first; gyear <= endYear; gyear++) {
+    const info = cal.getYearInfo(gyear)
+    for (const { month, leapMonth } of info.months) {
+      const month0 = new Calendar(info.cycle, info.year, month, leapMonth, 1, false)
+      const monthDays = month0.getMonthDays()
+      const monthName = month0.getMonthName(locale).name
+      const civilDays = monthDays.days.filter((d) => inRange(d.gregorian))
+      if (!civilDays.length) {
+        continue
+      }
+      const label = `${info.cycle}-${info.year}-${month}${leapMonth ? 'L' : ''}`
+      if (days) {
+        for (const d of civilDays) {
+          tmp._set(info.cycle, info.year, month, leapMonth, d.day, d.leapDay)
+          add('day', d.jdn, 1, summary(tmp), 'TIBETAN-DATE', `${label}-${d.day}${d.leapDay ? 'L' : ''}`)
+        }
+      }
+      const day1 = monthDays.days[0]
+      if (monthStarts && inRange(day1.gregorian)) {
+        add('month', day1.jdn, 1, monthName, 'TIBETAN-MONTH', label)
+      }
+      if (leapMonths && leapMonth) {
+        add('leap-month', day1.jdn, monthDays.days.length, monthName, 'TIBETAN-LEAP-MONTH', label)
+      }
+      if (skippedDays) {
+        for (const day of monthDays.skippedDays) {
+          // the skipped day begins and ends in the civil day before the next lunar day
+          const next = monthDays.days.find((d) => d.day > day)
+          const jdn = (next ? next.jdn : monthDays.days[monthDays.days.length - 1].jdn + 1) - 1
+          if (inRange(tmp._jdnToGregorian(jdn))) {
+            add(`skipped-${day}`, jdn, 1, `${monthName} ${day} skipped`, 'TIBETAN-SKIPPED-DAY', `${label}-${day}`)
+          }
+        }
+      }
+    }
+  }
+  if (festivals || monthly) {
+    for (const f of cal.getFestivals(startYear, endYear, { range, monthly, doubledDay, skippedDay })) {
+      if (festivals || f.monthly) {
+        add(f.id, f.jdn, 1, f.name, f.monthly ? 'TIBETAN-OBSERVANCE' : 'TIBETAN-FESTIVAL')
+      }
+    }
+  }
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...events.sort((a, b) => a.jdn - b.jdn).flatMap((e) => e.lines),
+    'END:VCALENDAR'
+  ]
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
@@ -1,3 +1,8 @@
 export { default as CalendarTibetan } from './Tibetan.js'
 export { default as CalendarMongolian } from './Mongolian.js'
 export { default as CalendarBhutanese } from './Bhutanese.js'
+export { createTibetanCalendar, getCalendarParams, rebaseEpoch } from './factory.js'
+export { FESTIVALS, MONTHLY_OBSERVANCES } from './festivals.js'
+export { CONJUNCTIONS, LIFE_FORCE_DAYS } from './quality.js'
+export { default as TemporalCalendar } from './temporal.js'
+export { default as TibetanDate } from './TibetanDate.js'
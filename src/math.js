@@ -0,0 +1,14 @@
+/**
+ * Numeric helpers shared by the modules.
+ */
+
+/**
+ * modulo which is non-negative for negative numbers
+ *
+ * @param {Number} a
+ * @param {Number} b - positive divisor
+ * @return {Number} in [0, b)
+ */
+export function mod (a, b) {
+  return ((a % b) + b) % b
+}
@@ -0,0 +1,101 @@
+/**
+ * Comparison of the calendar with the astronomical new and full moons.
+ *
+ * A month begins at the end of lunar day 30 of the previous month, the new
+ * moon of the calendar, and lunar day 15 ends at its full moon. These true
+ * dates (Janson, Section 7) count days from daybreak in the standard time of
+ * the calendar variant. They are compared with the instants of the true new
+ * and full moons after Meeus, "Astronomical Algorithms", Chapter 49, which
+ * are given in Dynamical Time and corrected by ΔT to Universal Time.
+ */
+import { moonphase, deltat } from 'astronomia'
+
+const PHASES = {
+  new: { lunarDay: 0, astronomical: moonphase.newMoon },
+  full: { lunarDay: 15, astronomical: moonphase.full }
+}
+
+// decimal year of a JD, as expected by `moonphase` and `deltat`
+function decimalYear (jd) {
+  return 2000 + (jd - 2451545) / 365.25
+}
+
+/**
+ * get the astronomical instant of a phase nearest to a JD
+ *
+ * @private
+ * @param {Function} astronomical - `moonphase.newMoon` or `moonphase.full`
+ * @param {Number} jd - JD (UT)
+ * @return {Number} JD (UT)
+ */
+function nearestPhase (astronomical, jd) {
+  const year = decimalYear(jd)
+  const jde = astronomical(year)
+  return jde - deltat.deltaT(decimalYear(jde)) / 86400
+}
+
+/**
+ * compare a phase of a month with the astronomical moon
+ *
+ * @private
+ * @param {CalendarTibetan} cal - calendar object of the variant
+ * @param {Number} trueMonthCount (n)
+ * @param {String} phase - `'new'` or `'full'`
+ * @return {Object} see `getMoonPhases()`
+ */
+function comparePhase (cal, trueMonthCount, phase) {
+  const { lunarDay, astronomical } = PHASES[phase]
+  const trueDate = cal._getTrueDateOfDay(trueMonthCount, lunarDay)
+  const jd = trueDate - cal._JD_OFFSET_STD_TIME - cal._JD_OFFSET_DAY_START
+  const astronomicalJd = nearestPhase(astronomical, jd)
+  const { cycle, year, month, leapMonth } = cal._getTibetanMonthFromTrueMonthCount(trueMonthCount)
+  return {
+    phase,
+    cycle,
+    year,
+    month,
+    leapMonth,
+    trueDate,
+    jdn: Math.floor(trueDate),
+    jd,
+    astronomicalJd,
+    offset: (jd - astronomicalJd) * 24
+  }
+}
+
+/**
+ * compare the beginning and lunar day 15 of a month with the astronomical
+ * new moon and full moon
+ *
+ * @param {CalendarTibetan} cal - calendar object of the variant
+ * @param {Number} trueMonthCount (n)
+ * @return {Array<Object>} `{ phase, cycle, year, month, leapMonth, trueDate, jdn, jd, astronomicalJd, offset }`
+ *   for the new moon (`phase` `'new'`) which begins the month and for its full moon (`'full'`);
+ *   `jdn` is the civil day of the calendar's moon, `jd` and `astronomicalJd` are in UT and
+ *   `offset` is `jd - astronomicalJd` in hours, positive if the calendar is late
+ */
+export function getMoonPhases (cal, trueMonthCount) {
+  return [comparePhase(cal, trueMonthCount, 'new'), comparePhase(cal, trueMonthCount, 'full')]
+}
+
+/**
+ * compare the new and full moons of the calendar on some civil days with
+ * the astronomical moon
+ *
+ * @param {CalendarTibetan} cal - calendar object of the variant
+ * @param {Number} first - (int) JDN of the first civil day
+ * @param {Number} last - (int) JDN of the last civil day
+ * @return {Array<Object>} see `getMoonPhases()`, for each new and full moon of
+ *   the calendar which falls on one of the days
+ */
+export function getMoonPhasesOfDays (cal, first, last) {
+  const result = []
+  for (let n = cal._getMonthTableOfJDN(first).trueMonthCount; cal._getTrueDateOfDay(n, 0) < last + 1; n++) {
+    for (const phase of getMoonPhases(cal, n)) {
+      if (phase.jdn >= first && phase.jdn <= last) {
+        result.push(phase)
+      }
+    }
+  }
+  return result
+}
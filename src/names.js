@@ -0,0 +1,342 @@
+/**
+ * Name tables for the Tibetan calendar.
+ *
+ * Every table is keyed by locale:
+ *   `en`    - English (traditional year names in Sanskrit transliteration)
+ *   `wylie` - Tibetan in Wylie transliteration
+ *   `bo`    - Tibetan script
+ *   `dz`    - Dzongkha; written in Tibetan script with the same spelling as `bo`
+ *   `mn`    - Mongolian Cyrillic
+ *
+ * Reference: Svante Janson, "Tibetan calendar mathematics", Section 4 (years)
+ */
+
+export const LOCALES = ['en', 'wylie', 'bo', 'dz', 'mn']
+
+/**
+ * the five elements, in order of the sexagenary cycle
+ * (each element lasts two consecutive years, male then female)
+ */
+export const ELEMENTS = {
+  en: ['Wood', 'Fire', 'Earth', 'Iron', 'Water'],
+  wylie: ['shing', 'me', 'sa', 'lcags', 'chu'],
+  bo: ['ཤིང', 'མེ', 'ས', 'ལྕགས', 'ཆུ'],
+  mn: ['мод', 'гал', 'шороо', 'төмөр', 'ус']
+}
+
+/**
+ * the twelve animals, starting with the Rat
+ */
+export const ANIMALS = {
+  en: ['Rat', 'Ox', 'Tiger', 'Rabbit', 'Dragon', 'Snake', 'Horse', 'Sheep', 'Monkey', 'Bird', 'Dog', 'Pig'],
+  wylie: ['byi ba', 'glang', 'stag', 'yos', '\'brug', 'sbrul', 'rta', 'lug', 'sprel', 'bya', 'khyi', 'phag'],
+  bo: ['བྱི་བ', 'གླང', 'སྟག', 'ཡོས', 'འབྲུག', 'སྦྲུལ', 'རྟ', 'ལུག', 'སྤྲེལ', 'བྱ', 'ཁྱི', 'ཕག'],
+  mn: ['хулгана', 'үхэр', 'бар', 'туулай', 'луу', 'могой', 'морь', 'хонь', 'бич', 'тахиа', 'нохой', 'гахай']
+}
+
+/**
+ * male, female
+ */
+export const GENDERS = {
+  en: ['Male', 'Female'],
+  wylie: ['pho', 'mo'],
+  bo: ['ཕོ', 'མོ'],
+  mn: ['эр', 'эм']
+}
+
+/**
+ * Mongolian almanacs name the element of a year by its colour, inflected
+ * for gender: [male, female] for each element in `ELEMENTS` order
+ */
+export const MONGOLIAN_COLOURS = [
+  ['хөх', 'хөхөгчин'],
+  ['улаан', 'улаагчин'],
+  ['шар', 'шарагчин'],
+  ['цагаан', 'цагаагчин'],
+  ['хар', 'харагчин']
+]
+
+/**
+ * the traditional names of the 60 years of a rab byung cycle,
+ * index 0 is the first year of the cycle (e.g. AD 1027, 1987);
+ * there is no `mn` table, `getYearName()` gives the colour name instead
+ */
+export const YEAR_NAMES = {
+  en: [
+    'Prabhava', 'Vibhava', 'Śukla', 'Pramoda', 'Prajāpati',
+    'Āṅgirasa', 'Śrīmukha', 'Bhāva', 'Yuvan', 'Dhātṛ',
+    'Īśvara', 'Bahudhānya', 'Pramāthin', 'Vikrama', 'Vṛṣa',
+    'Citrabhānu', 'Subhānu', 'Tāraṇa', 'Pārthiva', 'Vyaya',
+    'Sarvajit', 'Sarvadhārin', 'Virodhin', 'Vikṛti', 'Khara',
+    'Nandana', 'Vijaya', 'Jaya', 'Manmatha', 'Durmukha',
+    'Hemalamba', 'Vilamba', 'Vikārin', 'Śārvarī', 'Plava',
+    'Śubhakṛt', 'Śobhana', 'Krodhin', 'Viśvāvasu', 'Parābhava',
+    'Plavaṅga', 'Kīlaka', 'Saumya', 'Sādhāraṇa', 'Virodhakṛt',
+    'Paridhāvin', 'Pramādin', 'Ānanda', 'Rākṣasa', 'Anala',
+    'Piṅgala', 'Kālayukta', 'Siddhārthin', 'Raudra', 'Durmati',
+    'Dundubhi', 'Rudhirodgārin', 'Raktākṣa', 'Krodhana', 'Kṣaya'
+  ],
+  wylie: [
+    'rab byung', 'rnam byung', 'dkar po', 'rab myos', 'skyes bdag',
+    'ang gi ra', 'dpal gdong', 'dngos po', 'na so', '\'dzin byed',
+    'dbang phyug', '\'bru mang po', 'myos ldan', 'rnam gnon', 'khyu mchog',
+    'sna tshogs', 'nyi ma', 'nyi sgrol byed', 'sa skyong', 'mi zad',
+    'thams cad \'dul', 'kun \'dzin', '\'gal ba', 'rnam \'gyur', 'bong bu',
+    'dga\' ba', 'rnam rgyal', 'rgyal ba', 'myos byed', 'gdong ngan',
+    'gser \'phyang', 'rnam \'phyang', 'sgyur byed', 'kun ldan', '\'phar ba',
+    'dge byed', 'mdzes byed', 'khro mo', 'sna tshogs dbyig', 'zil gnon',
+    'spre\'u', 'phur bu', 'zhi ba', 'thun mong', '\'gal byed',
+    'yongs \'dzin', 'bag med', 'kun dga\'', 'srin bu', 'me',
+    'dmar ser can', 'dus kyi pho nya', 'don grub', 'drag po', 'blo ngan',
+    'rnga chen', 'khrag skyug', 'mig dmar', 'khro bo', 'zad pa'
+  ],
+  bo: [
+    'རབ་བྱུང', 'རྣམ་བྱུང', 'དཀར་པོ', 'རབ་མྱོས', 'སྐྱེས་བདག',
+    'ཨང་གི་ར', 'དཔལ་གདོང', 'དངོས་པོ', 'ན་སོ', 'འཛིན་བྱེད',
+    'དབང་ཕྱུག', 'འབྲུ་མང་པོ', 'མྱོས་ལྡན', 'རྣམ་གནོན', 'ཁྱུ་མཆོག',
+    'སྣ་ཚོགས', 'ཉི་མ', 'ཉི་སྒྲོལ་བྱེད', 'ས་སྐྱོང', 'མི་ཟད',
+    'ཐམས་ཅད་འདུལ', 'ཀུན་འཛིན', 'འགལ་བ', 'རྣམ་འགྱུར', 'བོང་བུ',
+    'དགའ་བ', 'རྣམ་རྒྱལ', 'རྒྱལ་བ', 'མྱོས་བྱེད', 'གདོང་ངན',
+    'གསེར་འཕྱང', 'རྣམ་འཕྱང', 'སྒྱུར་བྱེད', 'ཀུན་ལྡན', 'འཕར་བ',
+    'དགེ་བྱེད', 'མཛེས་བྱེད', 'ཁྲོ་མོ', 'སྣ་ཚོགས་དབྱིག', 'ཟིལ་གནོན',
+    'སྤྲེའུ', 'ཕུར་བུ', 'ཞི་བ', 'ཐུན་མོང', 'འགལ་བྱེད',
+    'ཡོངས་འཛིན', 'བག་མེད', 'ཀུན་དགའ', 'སྲིན་བུ', 'མེ',
+    'དམར་སེར་ཅན', 'དུས་ཀྱི་ཕོ་ཉ', 'དོན་གྲུབ', 'དྲག་པོ', 'བློ་ངན',
+    'རྔ་ཆེན', 'ཁྲག་སྐྱུག', 'མིག་དམར', 'ཁྲོ་བོ', 'ཟད་པ'
+  ]
+}
+
+/**
+ * the twelve months by number (hor zla)
+ */
+export const MONTH_NAMES = {
+  en: [
+    'First month', 'Second month', 'Third month', 'Fourth month',
+    'Fifth month', 'Sixth month', 'Seventh month', 'Eighth month',
+    'Ninth month', 'Tenth month', 'Eleventh month', 'Twelfth month'
+  ],
+  wylie: [
+    'zla ba dang po', 'zla ba gnyis pa', 'zla ba gsum pa', 'zla ba bzhi pa',
+    'zla ba lnga pa', 'zla ba drug pa', 'zla ba bdun pa', 'zla ba brgyad pa',
+    'zla ba dgu pa', 'zla ba bcu pa', 'zla ba bcu gcig pa', 'zla ba bcu gnyis pa'
+  ],
+  bo: [
+    'ཟླ་བ་དང་པོ', 'ཟླ་བ་གཉིས་པ', 'ཟླ་བ་གསུམ་པ', 'ཟླ་བ་བཞི་པ',
+    'ཟླ་བ་ལྔ་པ', 'ཟླ་བ་དྲུག་པ', 'ཟླ་བ་བདུན་པ', 'ཟླ་བ་བརྒྱད་པ',
+    'ཟླ་བ་དགུ་པ', 'ཟླ་བ་བཅུ་པ', 'ཟླ་བ་བཅུ་གཅིག་པ', 'ཟླ་བ་བཅུ་གཉིས་པ'
+  ],
+  mn: [
+    'нэгдүгээр сар', 'хоёрдугаар сар', 'гуравдугаар сар', 'дөрөвдүгээр сар',
+    'тавдугаар сар', 'зургаадугаар сар', 'долдугаар сар', 'наймдугаар сар',
+    'есдүгээр сар', 'аравдугаар сар', 'арван нэгдүгээр сар', 'арван хоёрдугаар сар'
+  ]
+}
+
+/**
+ * the Indian month names, named after the lunar mansion of the full moon,
+ * by Hor month number; the Kālacakra numbering starts with nag pa (Caitra)
+ */
+export const INDIAN_MONTH_NAMES = {
+  en: [
+    'Māgha', 'Phālguna', 'Caitra', 'Vaiśākha', 'Jyeṣṭha', 'Āṣāḍha',
+    'Śrāvaṇa', 'Bhādrapada', 'Āśvina', 'Kārttika', 'Mārgaśīrṣa', 'Pauṣa'
+  ],
+  wylie: [
+    'mchu zla ba', 'dbo zla ba', 'nag pa zla ba', 'sa ga zla ba', 'snron zla ba', 'chu stod zla ba',
+    'gro bzhin zla ba', 'khrums zla ba', 'tha skar zla ba', 'smin drug zla ba', 'mgo zla ba', 'rgyal zla ba'
+  ],
+  bo: [
+    'མཆུ་ཟླ་བ', 'དབོ་ཟླ་བ', 'ནག་པ་ཟླ་བ', 'ས་ག་ཟླ་བ', 'སྣྲོན་ཟླ་བ', 'ཆུ་སྟོད་ཟླ་བ',
+    'གྲོ་བཞིན་ཟླ་བ', 'ཁྲུམས་ཟླ་བ', 'ཐ་སྐར་ཟླ་བ', 'སྨིན་དྲུག་ཟླ་བ', 'མགོ་ཟླ་བ', 'རྒྱལ་ཟླ་བ'
+  ]
+}
+
+/**
+ * the months by season, first, middle and last month of spring, summer,
+ * autumn and winter; Mongolian almanacs name the months this way
+ */
+export const SEASON_MONTH_NAMES = {
+  en: [
+    'First spring month', 'Middle spring month', 'Last spring month',
+    'First summer month', 'Middle summer month', 'Last summer month',
+    'First autumn month', 'Middle autumn month', 'Last autumn month',
+    'First winter month', 'Middle winter month', 'Last winter month'
+  ],
+  wylie: [
+    'dpyid zla ra ba', 'dpyid zla \'bring po', 'dpyid zla tha chung',
+    'dbyar zla ra ba', 'dbyar zla \'bring po', 'dbyar zla tha chung',
+    'ston zla ra ba', 'ston zla \'bring po', 'ston zla tha chung',
+    'dgun zla ra ba', 'dgun zla \'bring po', 'dgun zla tha chung'
+  ],
+  bo: [
+    'དཔྱིད་ཟླ་ར་བ', 'དཔྱིད་ཟླ་འབྲིང་པོ', 'དཔྱིད་ཟླ་ཐ་ཆུང',
+    'དབྱར་ཟླ་ར་བ', 'དབྱར་ཟླ་འབྲིང་པོ', 'དབྱར་ཟླ་ཐ་ཆུང',
+    'སྟོན་ཟླ་ར་བ', 'སྟོན་ཟླ་འབྲིང་པོ', 'སྟོན་ཟླ་ཐ་ཆུང',
+    'དགུན་ཟླ་ར་བ', 'དགུན་ཟླ་འབྲིང་པོ', 'དགུན་ཟླ་ཐ་ཆུང'
+  ],
+  mn: [
+    'хаврын тэргүүн сар', 'хаврын дунд сар', 'хаврын адаг сар',
+    'зуны тэргүүн сар', 'зуны дунд сар', 'зуны адаг сар',
+    'намрын тэргүүн сар', 'намрын дунд сар', 'намрын адаг сар',
+    'өвлийн тэргүүн сар', 'өвлийн дунд сар', 'өвлийн адаг сар'
+  ]
+}
+
+/**
+ * the word for "month" after the animal of a month, e.g. "stag zla" (Tiger month)
+ */
+export const ANIMAL_MONTH_SUFFIXES = {
+  en: ' month',
+  wylie: ' zla',
+  bo: '་ཟླ',
+  mn: ' сар'
+}
+
+/**
+ * name of a leap (intercalary) month; `{name}` is replaced by the month name
+ */
+export const LEAP_MONTH_PATTERNS = {
+  en: '{name} (leap)',
+  wylie: '{name} lhag',
+  bo: '{name}་ལྷག',
+  mn: 'илүү {name}'
+}
+
+/**
+ * the days of the week (gza'), starting with Sunday
+ */
+export const WEEKDAY_NAMES = {
+  en: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+  wylie: [
+    'gza\' nyi ma', 'gza\' zla ba', 'gza\' mig dmar', 'gza\' lhag pa',
+    'gza\' phur bu', 'gza\' pa sangs', 'gza\' spen pa'
+  ],
+  bo: [
+    'གཟའ་ཉི་མ', 'གཟའ་ཟླ་བ', 'གཟའ་མིག་དམར', 'གཟའ་ལྷག་པ',
+    'གཟའ་ཕུར་བུ', 'གཟའ་པ་སངས', 'གཟའ་སྤེན་པ'
+  ],
+  mn: ['ням', 'даваа', 'мягмар', 'лхагва', 'пүрэв', 'баасан', 'бямба']
+}
+
+/**
+ * marker for a leap (intercalary) month or a leap (repeated) day
+ */
+export const LEAP_MARKERS = {
+  en: 'leap',
+  wylie: 'lhag',
+  bo: 'ལྷག',
+  mn: 'илүү'
+}
+
+/**
+ * the 27 lunar mansions (rgyu skar), starting with Aśvinī (tha skar)
+ */
+export const MANSION_NAMES = {
+  en: [
+    'Aśvinī', 'Bharaṇī', 'Kṛttikā', 'Rohiṇī', 'Mṛgaśiras', 'Ārdrā', 'Punarvasu',
+    'Puṣya', 'Āśleṣā', 'Maghā', 'Pūrvaphalgunī', 'Uttaraphalgunī', 'Hasta', 'Citrā',
+    'Svātī', 'Viśākhā', 'Anurādhā', 'Jyeṣṭhā', 'Mūla', 'Pūrvāṣāḍhā', 'Uttarāṣāḍhā',
+    'Śravaṇa', 'Dhaniṣṭhā', 'Śatabhiṣaj', 'Pūrvabhādrapadā', 'Uttarabhādrapadā', 'Revatī'
+  ],
+  wylie: [
+    'tha skar', 'bra nye', 'smin drug', 'snar ma', 'mgo', 'lag', 'nabs so',
+    'rgyal', 'skag', 'mchu', 'gre', 'dbo', 'me bzhi', 'nag pa',
+    'sa ri', 'sa ga', 'lha mtshams', 'snron', 'snrubs', 'chu stod', 'chu smad',
+    'gro bzhin', 'mon gre', 'mon gru', 'khrums stod', 'khrums smad', 'nam gru'
+  ]
+}
+
+/**
+ * the 27 yogas (sbyor ba)
+ */
+export const YOGA_NAMES = {
+  en: [
+    'Viṣkambha', 'Prīti', 'Āyuṣmat', 'Saubhāgya', 'Śobhana', 'Atigaṇḍa', 'Sukarman',
+    'Dhṛti', 'Śūla', 'Gaṇḍa', 'Vṛddhi', 'Dhruva', 'Vyāghāta', 'Harṣaṇa',
+    'Vajra', 'Siddhi', 'Vyatīpāta', 'Varīyas', 'Parigha', 'Śiva', 'Siddha',
+    'Sādhya', 'Śubha', 'Śukla', 'Brahman', 'Indra', 'Vaidhṛti'
+  ],
+  wylie: [
+    'sel ba', 'mdza\' bo', 'tshe dang ldan', 'skal bzang', 'bzang po', 'shin tu skrang', 'las bzang',
+    '\'dzin pa', 'zug rngu', 'skrang', '\'phel ba', 'brtan pa', 'kun \'joms', 'dga\' ba',
+    'rdo rje', 'dngos grub', 'shin tu lhung', 'mchog can', 'yongs \'joms', 'zhi ba', 'grub pa',
+    'bsgrub bya', 'dge ba', 'dkar po', 'tshangs pa', 'dbang po', 'khon \'dzin'
+  ]
+}
+
+/**
+ * the 11 karaṇas (byed pa): the seven movable ones, repeated eight times in a
+ * month, followed by the four fixed ones
+ */
+export const KARANA_NAMES = {
+  en: [
+    'Bava', 'Bālava', 'Kaulava', 'Taitila', 'Gara', 'Vaṇija', 'Viṣṭi',
+    'Śakuni', 'Catuṣpada', 'Nāga', 'Kiṃstughna'
+  ],
+  wylie: [
+    'gdab pa', 'byis pa', 'rigs can', 'til rdung', 'khyim skyes', 'tshong ba', '\'thab mo',
+    'bkra shis', 'rkang bzhi', 'klu', 'mi sdug pa'
+  ]
+}
+
+// Dzongkha shares the Tibetan script spelling
+ELEMENTS.dz = ELEMENTS.bo
+ANIMALS.dz = ANIMALS.bo
+GENDERS.dz = GENDERS.bo
+YEAR_NAMES.dz = YEAR_NAMES.bo
+MONTH_NAMES.dz = MONTH_NAMES.bo
+WEEKDAY_NAMES.dz = WEEKDAY_NAMES.bo
+LEAP_MARKERS.dz = LEAP_MARKERS.bo
+INDIAN_MONTH_NAMES.dz = INDIAN_MONTH_NAMES.bo
+SEASON_MONTH_NAMES.dz = SEASON_MONTH_NAMES.bo
+ANIMAL_MONTH_SUFFIXES.dz = ANIMAL_MONTH_SUFFIXES.bo
+LEAP_MONTH_PATTERNS.dz = LEAP_MONTH_PATTERNS.bo
+
+const TIBETAN_ZERO = 0x0f20
+
+/**
+ * write the ASCII digits of a string as Tibetan numerals (༠-༩)
+ *
+ * @param {String|Number} str
+ * @return {String}
+ */
+export function toTibetanDigits (str) {
+  return String(str).replace(/[0-9]/g, (c) => String.fromCharCode(TIBETAN_ZERO + Number(c)))
+}
+
+/**
+ * write the Tibetan numerals (༠-༩) of a string as ASCII digits
+ *
+ * @param {String} str
+ * @return {String}
+ */
+export function fromTibetanDigits (str) {
+  return String(str).replace(/[\u0f20-\u0f29]/g, (c) => String(c.charCodeAt(0) - TIBETAN_ZERO))
+}
+
+/**
+ * normalize a name for lookup: lower case, no diacritics, no separators
+ *
+ * @param {String} name
+ * @return {String}
+ */
+export function normalizeName (name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[\s\-_'\u0f0b\u0f0d]+/g, '')
+}
+
+/**
+ * throws if `locale` is not one of `LOCALES`
+ *
+ * @param {String} locale
+ * @return {String} locale
+ */
+export function checkLocale (locale) {
+  if (!LOCALES.includes(locale)) {
+    throw new RangeError(`unknown locale "${locale}"; expected one of ${LOCALES.join(', ')}`)
+  }
+  return locale
+}
@@ -0,0 +1,116 @@
+/**
+ * The five limbs (yan lag lnga) of a calendar day as printed in almanacs:
+ * weekday (gza'), lunar mansion (rgyu skar), yoga (sbyor ba) and
+ * karaṇa (byed pa), besides the lunar day itself.
+ *
+ * The true sun and the elongation of the moon (1/30 of a revolution per
+ * lunar day) are known at the end of each lunar day; in between they are
+ * interpolated linearly in time. (Janson, Sections 7 and 9)
+ *
+ *   mansion = 27 * (true sun + elongation)      (true moon)
+ *   yoga    = 27 * (2 * true sun + elongation)  (sum of sun and moon)
+ *   karaṇa  = 60 * elongation                   (half lunar day)
+ *
+ * Each limb is the one current at daybreak, with its ending time in days
+ * after daybreak; multiply by 60 for chu tshod. An ending time greater than
+ * 1 means that the limb lasts into the next day.
+ */
+import {
+  WEEKDAY_NAMES, MANSION_NAMES, YOGA_NAMES, KARANA_NAMES, checkLocale
+} from './names.js'
+import { mod } from './math.js'
+
+// the 60 half lunar days of a month map to the 11 karaṇas
+function karanaFromHalfDay (h) {
+  if (h === 0) return 10 // Kiṃstughna
+  if (h >= 57) return h - 50 // Śakuni, Catuṣpada, Nāga
+  return (h - 1) % 7
+}
+
+/**
+ * find the current value and the ending time of a limb
+ *
+ * @private
+ * @param {Array<Object>} points - [{ t, sun, elong }] at the ends of successive lunar days
+ * @param {Number} jdn - daybreak of the civil day in local JD
+ * @param {Number} sunWeight - weight of the true sun
+ * @param {Number} divisions - number of divisions of a revolution
+ * @throws {RangeError} if the limb does not end within `points`
+ * @return {Object} { value, end } - `value` is the unreduced division count at daybreak
+ */
+function findLimb (points, jdn, sunWeight, divisions) {
+  const f = (p) => divisions * (sunWeight * p.sun + p.elong)
+  const [p0, p1] = points
+  const value = Math.floor(f(p0) + (f(p1) - f(p0)) * (jdn - p0.t) / (p1.t - p0.t))
+  const target = value + 1
+  // each limb advances by at least 0.9 divisions per lunar day, so it ends
+  // within the three lunar days after `p1` given by the caller; as
+  // f(p0) < target, the ending lies after `p0`
+  const i = points.findIndex((p) => f(p) >= target)
+  if (i < 1) {
+    throw new RangeError(`no end of limb ${target} between JD ${points[0].t} and ${points[points.length - 1].t}`)
+  }
+  const a = points[i - 1]
+  const b = points[i]
+  return { value, end: a.t + (target - f(a)) / (f(b) - f(a)) * (b.t - a.t) - jdn }
+}
+
+/**
+ * get the pañcāṅga elements of a tibetan date
+ *
+ * @param {CalendarTibetan} cal - calendar object
+ * @param {String} [locale] - `en` (Sanskrit names) or `wylie`; defaults to `en`
+ * @throws {RangeError} if there are no names for `locale`
+ * @return {Object} { weekday, mansion, yoga, karana } each as `{ index, name, end }`;
+ *   `end` is the ending time in days after daybreak, for `weekday` the end of the lunar day
+ */
+export function getPanchanga (cal, locale = 'en') {
+  checkLocale(locale)
+  if (!MANSION_NAMES[locale]) {
+    throw new RangeError(`no pañcāṅga names for locale "${locale}"; expected one of ${Object.keys(MANSION_NAMES).join(', ')}`)
+  }
+  const jdn = cal.toJDN({ disambiguation: 'later' })
+  const n = cal._getTrueMonthCount()
+
+  // the civil day begins within the lunar day `day`, i.e. after the end of `day - 1`
+  const points = []
+  for (let d = cal.day - 1; d <= cal.day + 3; d++) {
+    const parts = cal._getTrueDatePartsOfDay(n, d)
+    const prev = points[points.length - 1]
+    // unwrap the longitude of the sun, which is given modulo 1
+    const sun = prev ? prev.sun + mod(parts.trueSun - prev.sun + 0.5, 1) - 0.5 : parts.trueSun
+    points.push({ t: parts.trueDate, sun, elong: d / 30 })
+  }
+  // a skipped day is converted to the following civil day
+  while (points[1].t <= jdn) {
+    points.shift()
+  }
+
+  const mansion = findLimb(points, jdn, 1, 27)
+  const yoga = findLimb(points, jdn, 2, 27)
+  const halfDay = findLimb(points, jdn, 0, 60)
+  const weekday = mod(jdn + 1, 7)
+  const karana = karanaFromHalfDay(mod(halfDay.value, 60))
+  return {
+    weekday: {
+      index: weekday,
+      name: WEEKDAY_NAMES[locale][weekday],
+      end: points[1].t - jdn
+    },
+    mansion: {
+      index: mod(mansion.value, 27),
+      name: MANSION_NAMES[locale][mod(mansion.value, 27)],
+      end: mansion.end
+    },
+    yoga: {
+      index: mod(yoga.value, 27),
+      name: YOGA_NAMES[locale][mod(yoga.value, 27)],
+      end: yoga.end
+    },
+    karana: {
+      index: karana,
+      name: KARANA_NAMES[locale][karana],
+      end: halfDay.end
+    }
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Astrological qualities of a civil day.
+ *
+ *   - combinations of weekday and lunar mansion (gza' skar sbyor ba): the
+ *     nectar combination (bdud rtsi, Skt. amṛtasiddhi) is auspicious, the
+ *     death combination ('chi ba, Skt. mṛtyu) inauspicious
+ *   - the soul (bla), life-force (srog) and enemy (gshed) weekdays of a
+ *     year animal, e.g. of the birth year of a person
+ *   - black days (nyi nag) and zin phung days, listed as lunar days per
+ *     month; their lists differ between almanacs and must be given in
+ *     `options.tables`. No list is bundled because none could be traced to a
+ *     source which the others agree with; a leap month uses the list of its
+ *     month number.
+ *
+ * The mansion of a day is the one current at daybreak (see `getPanchanga()`).
+ */
+import { ANIMALS, LOCALES, normalizeName } from './names.js'
+
+/**
+ * lunar mansion of each weekday (0 = Sunday) which forms a combination;
+ * only the nectar and death combinations are given; the other combinations
+ * which almanacs list are not recognized
+ */
+export const CONJUNCTIONS = {
+  // Hasta, Mṛgaśiras, Aśvinī, Anurādhā, Puṣya, Revatī, Rohiṇī
+  amrita: [12, 4, 0, 16, 7, 26, 3],
+  // Anurādhā, Uttarāṣāḍhā, Śatabhiṣaj, Aśvinī, Mṛgaśiras, Āśleṣā, Hasta
+  mrtyu: [16, 20, 23, 0, 4, 8, 12]
+}
+
+/**
+ * [bla, srog, gshed] weekdays (0 = Sunday) of each animal, starting with the Rat
+ */
+export const LIFE_FORCE_DAYS = [
+  [3, 2, 6], // Rat
+  [6, 3, 4], // Ox
+  [4, 6, 5], // Tiger
+  [4, 6, 5], // Rabbit
+  [0, 3, 4], // Dragon
+  [2, 5, 3], // Snake
+  [2, 5, 3], // Horse
+  [5, 1, 4], // Sheep
+  [5, 4, 2], // Monkey
+  [5, 4, 2], // Bird
+  [1, 3, 4], // Dog
+  [3, 2, 6] // Pig
+]
+
+const LIFE_FORCES = ['bla', 'srog', 'gshed']
+
+/**
+ * get the index of an animal from its index or name in any locale
+ *
+ * @private
+ * @param {Number|String} animal
+ * @throws {RangeError} on an unknown animal
+ * @return {Number} 0-11
+ */
+function animalIndex (animal) {
+  if (Number.isInteger(animal) && animal >= 0 && animal < 12) {
+    return animal
+  }
+  const key = normalizeName(animal)
+  for (const locale of LOCALES) {
+    const i = ANIMALS[locale].findIndex((name) => normalizeName(name) === key)
+    if (i >= 0) {
+      return i
+    }
+  }
+  throw new RangeError(`unknown animal "${animal}"`)
+}
+
+/**
+ * check a table of lunar days per month
+ *
+ * @private
+ * @param {Object} table - `{ [month]: [lunarDay, ...] }`
+ * @param {String} name - name of the table in the error messages
+ * @throws {TypeError} if the table or a list is not of the expected type
+ * @throws {RangeError} on a month or lunar day out of range
+ */
+function checkTable (table, name) {
+  if (typeof table !== 'object' || table === null) {
+    throw new TypeError(`tables.${name} must be an object, got ${table}`)
+  }
+  for (const [month, days] of Object.entries(table)) {
+    if (!/^(?:[1-9]|1[0-2])$/.test(month)) {
+      throw new RangeError(`tables.${name}: month ${month} is out of range 1-12`)
+    }
+    if (!Array.isArray(days)) {
+      throw new TypeError(`tables.${name}[${month}] must be an array, got ${days}`)
+    }
+    for (const day of days) {
+      if (!Number.isInteger(day) || day < 1 || day > 30) {
+        throw new RangeError(`tables.${name}[${month}]: lunar day ${day} is out of range 1-30`)
+      }
+    }
+  }
+}
+
+/**
+ * look up a day in a table of lunar days per month
+ *
+ * @private
+ * @param {Object} [table] - `{ [month]: [lunarDay, ...] }`
+ * @param {String} name - name of the table in the error messages
+ * @param {Number} month
+ * @param {Number} day
+ * @throws {TypeError|RangeError} if the table is invalid
+ * @return {Boolean|null} `null` if there is no table
+ */
+function lookup (table, name, month, day) {
+  if (table === undefined) {
+    return null
+  }
+  checkTable(table, name)
+  return (table[month] || []).includes(day)
+}
+
+/**
+ * get the astrological qualities of a tibetan date
+ *
+ * @param {CalendarTibetan} cal - calendar object
+ * @param {Object} [options]
+ * @param {Number|String} [options.animal] - year animal for the weekday relationships,
+ *   as index (0 = Rat) or name; defaults to the animal of the year of `cal`
+ * @param {Object} [options.tables] - `{ nyiNag, zinPhung }`, each `{ [month]: [lunarDay, ...] }`
+ * @throws {RangeError} on an unknown animal
+ * @throws {TypeError|RangeError} on an invalid table
+ * @return {Object} { weekday, mansion, conjunction, lifeForce, nyiNag, zinPhung }
+ */
+export function getDayQuality (cal, options = {}) {
+  const { tables = {} } = options
+  const animal = options.animal === undefined
+    ? cal._getSexagenary(cal.year).animal
+    : animalIndex(options.animal)
+  const { weekday, mansion } = cal.getPanchanga()
+
+  const conjunction = Object.keys(CONJUNCTIONS)
+    .find((id) => CONJUNCTIONS[id][weekday.index] === mansion.index)
+  const days = LIFE_FORCE_DAYS[animal]
+  const lifeForce = LIFE_FORCES.find((_, i) => days[i] === weekday.index)
+
+  return {
+    weekday: weekday.index,
+    mansion: mansion.index,
+    conjunction: conjunction
+      ? { id: conjunction, auspicious: conjunction === 'amrita' }
+      : null,
+    lifeForce: {
+      animal,
+      bla: days[0],
+      srog: days[1],
+      gshed: days[2],
+      day: lifeForce || null
+    },
+    nyiNag: lookup(tables.nyiNag, 'nyiNag', cal.month, cal.day),
+    zinPhung: lookup(tables.zinPhung, 'zinPhung', cal.month, cal.day)
+  }
+}
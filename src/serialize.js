@@ -0,0 +1,139 @@
+/**
+ * JSON and canonical string form of tibetan dates.
+ *
+ * The canonical string is `variant:cycle-YY-MM[L]-DD[L]`, e.g.
+ * `phugpa:17-39-03L-19` for day 19 of the leap month 3 of year 39 of cycle 17
+ * of the Phugpa calendar. Every date has exactly one canonical string, so the
+ * strings can be compared for equality, e.g. as keys in a database.
+ *
+ * Like `Date`, a date with invalid parts serializes to `null` in JSON and to
+ * `INVALID_DATE` as string, so that logging never throws; reading them back
+ * is strict.
+ */
+
+const FIELDS = ['cycle', 'year', 'month', 'leapMonth', 'day', 'leapDay']
+
+const RANGES = { cycle: [-Infinity, Infinity], year: [1, 60], month: [1, 12], day: [1, 30] }
+
+const VARIANT_PATTERN = /^[a-z][a-z0-9-]*$/
+
+const CANONICAL_PATTERN = /^([a-z][a-z0-9-]*):(-?\d+)-(\d{2})-(\d{2})(L?)-(\d{2})(L?)$/
+
+/**
+ * string of a date with invalid parts
+ */
+export const INVALID_DATE = 'Invalid Tibetan date'
+
+/**
+ * check the name of a calendar variant
+ *
+ * @param {String} variant
+ * @param {String} [name] - name of the value in the error messages
+ * @throws {TypeError} if `variant` is not a string
+ * @throws {RangeError} if `variant` is not lower case letters, digits and hyphens
+ */
+export function checkVariant (variant, name = 'calendar') {
+  if (typeof variant !== 'string') {
+    throw new TypeError(`${name} must be a string, got ${variant}`)
+  }
+  if (!VARIANT_PATTERN.test(variant)) {
+    throw new RangeError(`invalid ${name} "${variant}"; expected lower case letters, digits and hyphens`)
+  }
+}
+
+/**
+ * get the error of invalid parts of a date
+ *
+ * @private
+ * @param {Object} date - { cycle, year, month, leapMonth, day, leapDay }
+ * @return {TypeError|RangeError|null} `TypeError` if a part has the wrong type,
+ *   `RangeError` if a part is out of range, `null` if the parts are valid
+ */
+function getPartsError (date) {
+  for (const [name, [min, max]] of Object.entries(RANGES)) {
+    const value = date[name]
+    if (!Number.isInteger(value)) {
+      return new TypeError(`${name} must be an integer, got ${value}`)
+    }
+    if (value < min || value > max) {
+      return new RangeError(`${name} ${value} is out of range ${min}-${max}`)
+    }
+  }
+  for (const name of ['leapMonth', 'leapDay']) {
+    if (typeof date[name] !== 'boolean') {
+      return new TypeError(`${name} must be a boolean, got ${date[name]}`)
+    }
+  }
+  return null
+}
+
+/**
+ * JSON representation of a date
+ *
+ * @param {String} variant - name of the calendar variant, e.g. `phugpa`
+ * @param {Array<Number|Boolean>} parts - [cycle, year, month, leapMonth, day, leapDay]
+ * @return {Object|null} { calendar, cycle, year, month, leapMonth, day, leapDay },
+ *   or `null` if a part is invalid
+ */
+export function toJSONValue (variant, parts) {
+  const json = { calendar: variant }
+  FIELDS.forEach((name, i) => { json[name] = parts[i] })
+  return getPartsError(json) ? null : json
+}
+
+/**
+ * read the JSON representation of a date
+ *
+ * @param {Object} json - see `toJSONValue()`
+ * @throws {TypeError|RangeError} if `json` is invalid
+ * @return {Object} { variant, parts }
+ */
+export function fromJSONValue (json) {
+  if (typeof json !== 'object' || json === null) {
+    throw new TypeError(`expected an object, got ${json}`)
+  }
+  checkVariant(json.calendar)
+  const error = getPartsError(json)
+  if (error) {
+    throw error
+  }
+  return { variant: json.calendar, parts: FIELDS.map((name) => json[name]) }
+}
+
+/**
+ * canonical string of a date
+ *
+ * @param {String} variant - name of the calendar variant, e.g. `phugpa`
+ * @param {Array<Number|Boolean>} parts - [cycle, year, month, leapMonth, day, leapDay]
+ * @return {String} e.g. `phugpa:17-39-03L-19`, or `INVALID_DATE` if a part is invalid
+ */
+export function formatCanonical (variant, parts) {
+  const json = toJSONValue(variant, parts)
+  if (!json) {
+    return INVALID_DATE
+  }
+  const { cycle, year, month, leapMonth, day, leapDay } = json
+  const pad = (value) => String(value).padStart(2, '0')
+  return `${variant}:${cycle}-${pad(year)}-${pad(month)}${leapMonth ? 'L' : ''}-${pad(day)}${leapDay ? 'L' : ''}`
+}
+
+/**
+ * parse a canonical string
+ *
+ * @param {String} str - e.g. `phugpa:17-39-03L-19`
+ * @throws {RangeError} if `str` is not a canonical string
+ * @return {Object} { variant, parts }
+ */
+export function parseCanonical (str) {
+  const match = CANONICAL_PATTERN.exec(str)
+  if (!match) {
+    throw new RangeError(`"${str}" is not a canonical tibetan date like "phugpa:17-39-03L-19"`)
+  }
+  const [, variant, cycle, year, month, leapMonth, day, leapDay] = match
+  const parts = [Number(cycle), Number(year), Number(month), leapMonth === 'L', Number(day), leapDay === 'L']
+  // rejects e.g. `-0` or month `00`, which have no canonical form, and parts out of range
+  if (formatCanonical(variant, parts) !== str) {
+    throw new RangeError(`"${str}" is not a canonical tibetan date like "phugpa:17-39-03L-19"`)
+  }
+  return { variant, parts }
+}
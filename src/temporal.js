@@ -0,0 +1,578 @@
+/**
+ * Calendar protocol of the TC39 Temporal API on top of a calendar class, so
+ * that `Temporal.PlainDate` and its relatives can carry tibetan dates.
+ *
+ * Temporal fields:
+ *   - `year`: Gregorian year in which the tibetan year begins (see `getYearInfo()`)
+ *   - `month`: position of the month in the year, 1-12 or 1-13 with a leap month
+ *   - `monthCode`: `M01`-`M12`, with `L` for a leap month, e.g. `M05L`
+ *   - `day`: position of the civil day in the month, 1-29 or 1-30
+ *
+ * Temporal requires the days of a month to be numbered without gaps, so `day`
+ * is not the lunar day when a day is skipped or doubled; `toCalendar()` gives
+ * the tibetan date with its lunar day. The Temporal namespace is passed to the
+ * constructor, e.g. from `@js-temporal/polyfill`; the global `Temporal` is used
+ * by default.
+ */
+import CalendarTibetan from './Tibetan.js'
+import { mod } from './math.js'
+
+const OVERFLOWS = ['constrain', 'reject']
+
+const UNITS = {
+  auto: 'day',
+  year: 'year',
+  years: 'year',
+  month: 'month',
+  months: 'month',
+  week: 'week',
+  weeks: 'week',
+  day: 'day',
+  days: 'day'
+}
+
+function checkOverflow (options) {
+  const { overflow = 'constrain' } = options || {}
+  if (!OVERFLOWS.includes(overflow)) {
+    throw new RangeError(`unknown overflow "${overflow}"; expected one of ${OVERFLOWS.join(', ')}`)
+  }
+  return overflow
+}
+
+function toMonthCode ({ month, leapMonth }) {
+  return `M${String(month).padStart(2, '0')}${leapMonth ? 'L' : ''}`
+}
+
+function parseMonthCode (monthCode) {
+  const m = /^M(\d{2})(L?)$/.exec(monthCode)
+  if (!m || Number(m[1]) < 1 || Number(m[1]) > 12) {
+    throw new RangeError(`invalid monthCode "${monthCode}"`)
+  }
+  return { month: Number(m[1]), leapMonth: m[2] === 'L' }
+}
+
+function checkInteger (fields, name) {
+  const value = fields[name]
+  if (value === undefined) {
+    throw new TypeError(`${name} is required`)
+  }
+  if (!Number.isInteger(value)) {
+    throw new RangeError(`${name} must be an integer, got ${value}`)
+  }
+  return value
+}
+
+/**
+ * Temporal calendar of a tibetan calendar variant
+ */
+export default class TemporalCalendar {
+  /**
+   * constructor
+   *
+   * @param {Function} [Calendar] - `CalendarTibetan`, `CalendarMongolian`,
+   *   `CalendarBhutanese` or a class created by `createTibetanCalendar()`
+   * @param {Object} [options]
+   * @param {Object} [options.Temporal] - Temporal namespace; defaults to `globalThis.Temporal`
+   * @param {String} [options.id] - calendar identifier; defaults to the class name
+   *   without `Calendar` in lower case, e.g. `tibetan`
+   * @throws {TypeError} if there is no Temporal namespace
+   */
+  constructor (Calendar = CalendarTibetan, options = {}) {
+    const { Temporal = globalThis.Temporal, id } = options
+    if (!Temporal) {
+      throw new TypeError('Temporal is not available; pass it as options.Temporal')
+    }
+    this._Temporal = Temporal
+    this._Calendar = Calendar
+    this._cal = new Calendar()
+    this.id = id || Calendar.name.replace(/^Calendar/, '').toLowerCase()
+  }
+
+  /**
+   * @return {String} calendar identifier
+   */
+  toString () {
+    return this.id
+  }
+
+  /**
+   * @return {String} calendar identifier
+   */
+  toJSON () {
+    return this.id
+  }
+
+  /**
+   * get the JDN of a Temporal object or a value which converts to a `Temporal.PlainDate`
+   *
+   * @private
+   * @param {Object|String} date
+   * @return {Number} JDN
+   */
+  _toJDN (date) {
+    const value = typeof date === 'object' && date !== null && typeof date.getISOFields === 'function'
+      ? date
+      : this._Temporal.PlainDate.from(date)
+    const { isoYear, isoMonth, isoDay } = value.getISOFields()
+    return this._cal._toCivilJDN({ year: isoYear, month: isoMonth, day: isoDay })
+  }
+
+  /**
+   * get the Temporal fields of a civil day
+   *
+   * @private
+   * @param {Number} jdn - (int) JDN
+   * @return {Object} { jdn, year, trueMonthCount, firstMonth, month, day, table }
+   */
+  _fields (jdn) {
+    const cal = this._cal
+    const table = cal._getMonthTableOfJDN(jdn)
+    const year = cal._set(table.month.cycle, table.month.year, 1, false, 1, false)._getGregorianYear()
+    const firstMonth = this._firstMonth(year)
+    return {
+      jdn,
+      year,
+      trueMonthCount: table.trueMonthCount,
+      firstMonth,
+      month: table.trueMonthCount - firstMonth + 1,
+      day: jdn - table.first + 1,
+      table
+    }
+  }
+
+  /**
+   * @private
+   * @param {Number} year - Gregorian year in which the tibetan year begins
+   * @return {Number} true month count of the first month of the year
+   */
+  _firstMonth (year) {
+    return this._cal._getTrueMonthCount(year, 1, !this._cal._IS_BHUTAN_LEAP)
+  }
+
+  /**
+   * @private
+   * @param {Number} year - Gregorian year in which the tibetan year begins
+   * @return {Number} number of months in the year
+   */
+  _monthsInYear (year) {
+    return this._firstMonth(year + 1) - this._firstMonth(year)
+  }
+
+  /**
+   * get the true month count of a month code in a year
+   *
+   * @private
+   * @param {Number} year - Gregorian year in which the tibetan year begins
+   * @param {Object} monthCode - { month, leapMonth }
+   * @param {String} overflow - `'constrain'` falls back to the regular month if
+   *   there is no such leap month, `'reject'` throws
+   * @throws {RangeError} if the leap month does not exist and `overflow` is `'reject'`
+   * @return {Number} true month count
+   */
+  _resolveMonthCode (year, { month, leapMonth }, overflow) {
+    const cal = this._cal
+    if (leapMonth && !cal._isLeapMonthFromYearAndMonth(year, month)) {
+      if (overflow === 'reject') {
+        throw new RangeError(`there is no leap month ${month} in ${year}`)
+      }
+      leapMonth = false
+    }
+    return cal._getTrueMonthCount(year, month, leapMonth)
+  }
+
+  /**
+   * get the true month count from `year` and `month` or `monthCode`
+   *
+   * @private
+   * @param {Object} fields
+   * @param {String} overflow
+   * @throws {TypeError|RangeError} on missing or invalid fields
+   * @return {Number} true month count
+   */
+  _resolveMonth (fields, overflow) {
+    const year = checkInteger(fields, 'year')
+    let n
+    if (fields.monthCode !== undefined) {
+      n = this._resolveMonthCode(year, parseMonthCode(fields.monthCode), overflow)
+    }
+    if (fields.month !== undefined) {
+      const month = checkInteger(fields, 'month')
+      const monthsInYear = this._monthsInYear(year)
+      if (month < 1 || (month > monthsInYear && overflow === 'reject')) {
+        throw new RangeError(`month ${month} is out of range 1 to ${monthsInYear}`)
+      }
+      const m = this._firstMonth(year) + Math.min(month, monthsInYear) - 1
+      if (n !== undefined && n !== m) {
+        throw new RangeError(`month ${month} and monthCode ${fields.monthCode} do not agree`)
+      }
+      n = m
+    }
+    if (n === undefined) {
+      throw new TypeError('month or monthCode is required')
+    }
+    return n
+  }
+
+  /**
+   * get the civil day at a position in a month
+   *
+   * @private
+   * @param {Number} trueMonthCount
+   * @param {Number} day - position of the day in the month
+   * @param {String} overflow
+   * @throws {RangeError} on a day out of range if `overflow` is `'reject'`
+   * @return {Number} JDN
+   */
+  _dayOfMonth (trueMonthCount, day, overflow) {
+    const { first, last } = this._cal._getMonthTable(trueMonthCount)
+    const days = last - first + 1
+    if (day < 1 || (day > days && overflow === 'reject')) {
+      throw new RangeError(`day ${day} is out of range 1 to ${days}`)
+    }
+    return first + Math.min(day, days) - 1
+  }
+
+  /**
+   * add years and months to a date; the day is kept if possible
+   *
+   * @private
+   * @param {Object} fields - result of `_fields()`
+   * @param {Number} years
+   * @param {Number} months
+   * @param {String} overflow
+   * @return {Number} JDN
+   */
+  _addMonths (fields, years, months, overflow) {
+    let n = fields.trueMonthCount
+    if (years) {
+      n = this._resolveMonthCode(fields.year + years, fields.table.month, overflow)
+    }
+    return this._dayOfMonth(n + months, fields.day, overflow)
+  }
+
+  /**
+   * @private
+   * @param {Number} jdn - (int) JDN
+   * @return {Object} Gregorian date as `{ isoYear, isoMonth, isoDay }`
+   */
+  _isoFields (jdn) {
+    const { year, month, day } = this._cal._jdnToGregorian(jdn)
+    return { isoYear: year, isoMonth: month, isoDay: day }
+  }
+
+  /**
+   * @private
+   * @param {Number} jdn - (int) JDN
+   * @return {Temporal.PlainDate}
+   */
+  _plainDate (jdn) {
+    const { isoYear, isoMonth, isoDay } = this._isoFields(jdn)
+    return new this._Temporal.PlainDate(isoYear, isoMonth, isoDay, this)
+  }
+
+  /**
+   * convert a date to a calendar object of the tibetan calendar variant
+   *
+   * @param {Temporal.PlainDate|Object|String} date
+   * @return {CalendarTibetan}
+   */
+  toCalendar (date) {
+    const jdn = this._toJDN(date)
+    const { month: { cycle, year, month, leapMonth }, first, days } = this._cal._getMonthTableOfJDN(jdn)
+    const [day, leapDay] = days[jdn - first]
+    return new this._Calendar(cycle, year, month, leapMonth, day, leapDay)
+  }
+
+  /**
+   * convert a calendar object to a date in this calendar
+   *
+   * @param {CalendarTibetan} cal
+   * @param {Object} [options] - see `toJDN()`
+   * @return {Temporal.PlainDate}
+   */
+  fromCalendar (cal, options) {
+    return this._plainDate(cal.toJDN(options))
+  }
+
+  /**
+   * @param {Object} fields - `{ year, month | monthCode, day }`
+   * @param {Object} [options] - `{ overflow: 'constrain' | 'reject' }`
+   * @throws {TypeError|RangeError} on missing or invalid fields
+   * @return {Temporal.PlainDate}
+   */
+  dateFromFields (fields, options) {
+    const overflow = checkOverflow(options)
+    const n = this._resolveMonth(fields, overflow)
+    return this._plainDate(this._dayOfMonth(n, checkInteger(fields, 'day'), overflow))
+  }
+
+  /**
+   * @param {Object} fields - `{ year, month | monthCode }`
+   * @param {Object} [options] - `{ overflow: 'constrain' | 'reject' }`
+   * @throws {TypeError|RangeError} on missing or invalid fields
+   * @return {Temporal.PlainYearMonth} with the first day of the month as reference day
+   */
+  yearMonthFromFields (fields, options) {
+    const n = this._resolveMonth(fields, checkOverflow(options))
+    const { isoYear, isoMonth, isoDay } = this._isoFields(this._cal._getMonthTable(n).first)
+    return new this._Temporal.PlainYearMonth(isoYear, isoMonth, this, isoDay)
+  }
+
+  /**
+   * The reference year is the latest year up to 1972 in which the month has
+   * the day; a leap month which is not found falls back to the regular month
+   * unless `overflow` is `'reject'`.
+   *
+   * @param {Object} fields - `{ monthCode, day }` or `{ year, month | monthCode, day }`
+   * @param {Object} [options] - `{ overflow: 'constrain' | 'reject' }`
+   * @throws {TypeError|RangeError} on missing or invalid fields
+   * @return {Temporal.PlainMonthDay}
+   */
+  monthDayFromFields (fields, options) {
+    const overflow = checkOverflow(options)
+    let day = checkInteger(fields, 'day')
+    if (day < 1 || (day > 30 && overflow === 'reject')) {
+      throw new RangeError(`day ${day} is out of range 1 to 30`)
+    }
+    day = Math.min(day, 30)
+    const { month, leapMonth } = fields.monthCode === undefined
+      ? this._cal._getTibetanMonthFromTrueMonthCount(this._resolveMonth(fields, overflow))
+      : parseMonthCode(fields.monthCode)
+    for (let year = 1972; year > 1972 - 200; year--) {
+      if (leapMonth && !this._cal._isLeapMonthFromYearAndMonth(year, month)) {
+        continue
+      }
+      const { first, last } = this._cal._getMonthTable(this._cal._getTrueMonthCount(year, month, leapMonth))
+      if (day <= last - first + 1) {
+        const { isoYear, isoMonth, isoDay } = this._isoFields(first + day - 1)
+        return new this._Temporal.PlainMonthDay(isoMonth, isoDay, this, isoYear)
+      }
+    }
+    if (leapMonth && overflow === 'constrain') {
+      return this.monthDayFromFields({ monthCode: toMonthCode({ month, leapMonth: false }), day }, options)
+    }
+    throw new RangeError(`there is no day ${day} of month ${toMonthCode({ month, leapMonth })}`)
+  }
+
+  /**
+   * @param {Temporal.PlainDate} date
+   * @param {Temporal.Duration|Object} duration - `{ years, months, weeks, days }`
+   * @param {Object} [options] - `{ overflow: 'constrain' | 'reject' }`
+   * @throws {RangeError} if the day does not exist and `overflow` is `'reject'`
+   * @return {Temporal.PlainDate}
+   */
+  dateAdd (date, duration, options) {
+    const overflow = checkOverflow(options)
+    const { years = 0, months = 0, weeks = 0, days = 0 } = this._Temporal.Duration.from(duration)
+    const jdn = this._addMonths(this._fields(this._toJDN(date)), years, months, overflow)
+    return this._plainDate(jdn + 7 * weeks + days)
+  }
+
+  /**
+   * @param {Temporal.PlainDate} one
+   * @param {Temporal.PlainDate} two
+   * @param {Object} [options] - `{ largestUnit: 'auto' | 'year' | 'month' | 'week' | 'day' }`
+   * @throws {RangeError} on an unknown unit
+   * @return {Temporal.Duration}
+   */
+  dateUntil (one, two, options) {
+    const { largestUnit = 'auto' } = options || {}
+    const unit = UNITS[largestUnit]
+    if (!unit) {
+      throw new RangeError(`unknown largestUnit "${largestUnit}"`)
+    }
+    const from = this._fields(this._toJDN(one))
+    const to = this._fields(this._toJDN(two))
+    const sign = Math.sign(to.jdn - from.jdn)
+    // whether a date is beyond `two`
+    const passed = (jdn) => sign * (jdn - to.jdn) > 0
+
+    let years = 0
+    let months = 0
+    if (unit === 'year' || unit === 'month') {
+      if (unit === 'year') {
+        years = to.year - from.year
+        while (years !== 0 && passed(this._addMonths(from, years, 0, 'constrain'))) {
+          years -= sign
+        }
+      }
+      const n = years ? this._resolveMonthCode(from.year + years, from.table.month, 'constrain') : from.trueMonthCount
+      months = to.trueMonthCount - n
+      while (months !== 0 && passed(this._addMonths(from, years, months, 'constrain'))) {
+        months -= sign
+      }
+    }
+    let days = to.jdn - this._addMonths(from, years, months, 'constrain')
+    let weeks = 0
+    if (unit === 'week') {
+      weeks = Math.trunc(days / 7)
+      days -= 7 * weeks
+    }
+    return this._Temporal.Duration.from({ years, months, weeks, days })
+  }
+
+  /**
+   * @param {Temporal.PlainDate} date
+   * @return {undefined} the calendar has no eras
+   */
+  era (date) {
+    return undefined
+  }
+
+  /**
+   * @param {Temporal.PlainDate} date
+   * @return {undefined} the calendar has no eras
+   */
+  eraYear (date) {
+    return undefined
+  }
+
+  /**
+   * @param {Temporal.PlainDate|Temporal.PlainYearMonth} date
+   * @return {Number} Gregorian year in which the tibetan year begins
+   */
+  year (date) {
+    return this._fields(this._toJDN(date)).year
+  }
+
+  /**
+   * @param {Temporal.PlainDate|Temporal.PlainYearMonth} date
+   * @return {Number} position of the month in the year
+   */
+  month (date) {
+    return this._fields(this._toJDN(date)).month
+  }
+
+  /**
+   * @param {Temporal.PlainDate|Temporal.PlainYearMonth|Temporal.PlainMonthDay} date
+   * @return {String} e.g. `M05` or `M05L` for a leap month
+   */
+  monthCode (date) {
+    return toMonthCode(this._fields(this._toJDN(date)).table.month)
+  }
+
+  /**
+   * @param {Temporal.PlainDate|Temporal.PlainMonthDay} date
+   * @return {Number} position of the civil day in the month
+   */
+  day (date) {
+    return this._fields(this._toJDN(date)).day
+  }
+
+  /**
+   * @param {Temporal.PlainDate} date
+   * @return {Number} 1 for Monday to 7 for Sunday
+   */
+  dayOfWeek (date) {
+    return mod(this._toJDN(date), 7) + 1
+  }
+
+  /**
+   * @param {Temporal.PlainDate} date
+   * @return {Number} 1 for losar
+   */
+  dayOfYear (date) {
+    const { jdn, firstMonth } = this._fields(this._toJDN(date))
+    return jdn - this._cal._getMonthTable(firstMonth).first + 1
+  }
+
+  /**
+   * The weeks are the ISO weeks of the Gregorian calendar.
+   *
+   * @param {Temporal.PlainDate} date
+   * @return {Number}
+   */
+  weekOfYear (date) {
+    return this._isoWeek(this._toJDN(date)).week
+  }
+
+  /**
+   * @param {Temporal.PlainDate} date
+   * @return {Number} Gregorian year of the ISO week
+   */
+  yearOfWeek (date) {
+    return this._isoWeek(this._toJDN(date)).year
+  }
+
+  /**
+   * @private
+   * @param {Number} jdn - (int) JDN
+   * @return {Object} { year, week }
+   */
+  _isoWeek (jdn) {
+    // the thursday of the week decides its year
+    const thursday = jdn - mod(jdn, 7) + 3
+    const { year } = this._cal._jdnToGregorian(thursday)
+    const jan1 = this._cal._toCivilJDN({ year, month: 1, day: 1 })
+    return { year, week: Math.floor((thursday - jan1) / 7) + 1 }
+  }
+
+  /**
+   * @return {Number} 7
+   */
+  daysInWeek () {
+    return 7
+  }
+
+  /**
+   * @param {Temporal.PlainDate|Temporal.PlainYearMonth} date
+   * @return {Number} 29 or 30
+   */
+  daysInMonth (date) {
+    const { first, last } = this._fields(this._toJDN(date)).table
+    return last - first + 1
+  }
+
+  /**
+   * @param {Temporal.PlainDate|Temporal.PlainYearMonth} date
+   * @return {Number}
+   */
+  daysInYear (date) {
+    const { year, firstMonth } = this._fields(this._toJDN(date))
+    return this._cal._getMonthTable(this._firstMonth(year + 1)).first - this._cal._getMonthTable(firstMonth).first
+  }
+
+  /**
+   * @param {Temporal.PlainDate|Temporal.PlainYearMonth} date
+   * @return {Number} 12 or 13
+   */
+  monthsInYear (date) {
+    return this._monthsInYear(this._fields(this._toJDN(date)).year)
+  }
+
+  /**
+   * @param {Temporal.PlainDate|Temporal.PlainYearMonth} date
+   * @return {Boolean} whether the year has a leap month
+   */
+  inLeapYear (date) {
+    return this.monthsInYear(date) === 13
+  }
+
+  /**
+   * @param {Iterable<String>} fields
+   * @return {Array<String>} the same fields; there are no era fields
+   */
+  fields (fields) {
+    return [...fields]
+  }
+
+  /**
+   * `month` and `monthCode` replace each other
+   *
+   * @param {Object} fields
+   * @param {Object} additionalFields
+   * @return {Object}
+   */
+  mergeFields (fields, additionalFields) {
+    const merged = {}
+    const defined = (obj) => Object.entries(obj).filter(([, value]) => value !== undefined)
+    const additional = Object.fromEntries(defined(additionalFields))
+    const replacesMonth = 'month' in additional || 'monthCode' in additional
+    for (const [key, value] of defined(fields)) {
+      if (!(replacesMonth && (key === 'month' || key === 'monthCode'))) {
+        merged[key] = value
+      }
+    }
+    return Object.assign(merged, additional)
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Local time for the conversion between points in time and civil days.
+ *
+ * A civil day keeps its tibetan date in every timezone; only the moment at
+ * which the day begins depends on the timezone and the day start.
+ */
+
+const JD_UNIX_EPOCH = 2440587.5
+
+const DAY_STARTS = { daybreak: 5, midnight: 0 }
+
+const formatters = new Map()
+
+function getFormatter (timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      era: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }))
+  }
+  return formatters.get(timeZone)
+}
+
+/**
+ * check a timezone and convert a UTC offset to hours
+ *
+ * @param {String|Number} timeZone - IANA timezone, e.g. `'Asia/Kolkata'`,
+ *   UTC offset as `'+05:30'`, or hours east of UTC
+ * @throws {TypeError|RangeError} if `timeZone` is invalid
+ * @return {String|Number} IANA timezone or hours east of UTC
+ */
+export function checkTimeZone (timeZone) {
+  if (typeof timeZone === 'number') {
+    if (!Number.isFinite(timeZone) || timeZone < -14 || timeZone > 14) {
+      throw new RangeError(`timeZone ${timeZone} is out of range -14 to 14`)
+    }
+    return timeZone
+  }
+  if (typeof timeZone !== 'string') {
+    throw new TypeError(`timeZone must be a string or a number, got ${timeZone}`)
+  }
+  const offset = /^([+-])(\d{2}):?(\d{2})$/.exec(timeZone)
+  if (offset) {
+    return checkTimeZone((offset[1] === '-' ? -1 : 1) * (Number(offset[2]) + Number(offset[3]) / 60))
+  }
+  try {
+    getFormatter(timeZone)
+  } catch (e) {
+    throw new RangeError(`unknown timeZone "${timeZone}"`)
+  }
+  return timeZone
+}
+
+/**
+ * check a day start and convert it to hours
+ *
+ * @param {String|Number} dayStart - `'daybreak'` (5:00), `'midnight'` (0:00) or local hour
+ * @throws {TypeError|RangeError} if `dayStart` is invalid
+ * @return {Number} hour
+ */
+export function checkDayStart (dayStart) {
+  if (typeof dayStart === 'string') {
+    if (!(dayStart in DAY_STARTS)) {
+      throw new RangeError(`unknown dayStart "${dayStart}"; expected one of ${Object.keys(DAY_STARTS).join(', ')} or an hour`)
+    }
+    return DAY_STARTS[dayStart]
+  }
+  if (typeof dayStart !== 'number' || !Number.isFinite(dayStart)) {
+    throw new TypeError(`dayStart must be a string or a number, got ${dayStart}`)
+  }
+  if (dayStart < 0 || dayStart > 24) {
+    throw new RangeError(`dayStart ${dayStart} is out of range 0 to 24`)
+  }
+  return dayStart
+}
+
+/**
+ * get the offset of a timezone from UTC at a point in time
+ *
+ * @param {String|Number} timeZone - result of `checkTimeZone()`
+ * @param {Number} jd - point in time in JD (UTC)
+ * @return {Number} hours east of UTC
+ */
+export function getTimeZoneOffset (timeZone, jd) {
+  if (typeof timeZone === 'number') {
+    return timeZone
+  }
+  const time = Math.round((jd - JD_UNIX_EPOCH) * 86400) * 1000
+  const parts = {}
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(time))) {
+    parts[type] = type === 'era' ? value : Number(value)
+  }
+  // `Date.UTC()` would take the years 0 to 99 for 1900 to 1999
+  const local = new Date(0)
+  local.setUTCFullYear(parts.era === 'BC' ? 1 - parts.year : parts.year, parts.month - 1, parts.day)
+  local.setUTCHours(parts.hour, parts.minute, parts.second)
+  return (local.getTime() - time) / 3600000
+}
+
+/**
+ * convert a local time to UTC
+ *
+ * At the end of daylight saving time the earlier of two moments is returned;
+ * a local time skipped at its start is moved forward by the change of offset.
+ *
+ * @param {String|Number} timeZone - result of `checkTimeZone()`
+ * @param {Number} jdLocal - local time in JD
+ * @return {Number} JD (UTC)
+ */
+export function localToUTC (timeZone, jdLocal) {
+  // offsets before and after a possible change of offset
+  const before = getTimeZoneOffset(timeZone, jdLocal - 1)
+  const after = getTimeZoneOffset(timeZone, jdLocal + 1)
+  const valid = [before, after]
+    .filter((offset) => getTimeZoneOffset(timeZone, jdLocal - offset / 24) === offset)
+    .map((offset) => jdLocal - offset / 24)
+  return valid.length ? Math.min(...valid) : jdLocal - before / 24
+}
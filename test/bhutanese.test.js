@@ -2,7 +2,7 @@
 
 import assert from 'assert'
 import { julian } from 'astronomia'
-import { CalendarBhutanese } from '../src/index.js'
+import { CalendarBhutanese, CalendarTibetan } from '../src/index.js'
 
 function toDate (jde) {
   return new julian.Calendar().fromJDE(jde).toDate()
@@ -91,7 +91,12 @@ describe('#CalendarBhutanese', function () {
       { d: [2013,  1, 27], tib: [17, 26, 12, false, 15, false] },
       { d: [2013,  1, 28], tib: [17, 26, 12, false, 16, false] },
       { d: [2013,  2,  1], tib: [17, 26, 12, false, 20, false] },
-      { d: [2013,  2,  2], tib: [17, 26, 12, false, 22, false] }
+      { d: [2013,  2,  2], tib: [17, 26, 12, false, 22, false] },
+      // computing the end of month 2 as day 0 of month 3 gave 2-30 twice
+      // instead of 2-30 and the leap day 3-1
+      { d: [2020,  4, 22], tib: [17, 34, 2, false, 30, false] },
+      { d: [2020,  4, 23], tib: [17, 34, 3, false, 1, true] },
+      { d: [2020,  4, 24], tib: [17, 34, 3, false, 1, false] }
     ]
 
     describe('fromGregorian', function () {
@@ -117,4 +122,145 @@ describe('#CalendarBhutanese', function () {
     })
   })
 
+  describe('year names', function () {
+    it('inherits year names', function () {
+      const cal = new CalendarBhutanese(17, 39, 1, false, 1, false)
+      assert.strictEqual(cal.getYearName().sexagenary, 'Wood-Female-Snake')
+      assert.strictEqual(cal.getYearName('dz').sexagenary, 'ཤིང་མོ་སྦྲུལ')
+      assert.deepStrictEqual(cal.yearFromName('me pho rta'), { cycle: 17, year: 40 })
+    })
+  })
+
+  describe('format', function () {
+    it('round-trips format', function () {
+      const cal = new CalendarBhutanese(17, 33, 3, true, 30, false)
+      const str = cal.format('C-YY-MM L-DD l')
+      assert.strictEqual(str, '17-33-03 leap-30 ')
+      const parsed = CalendarBhutanese.parse(str, 'C-YY-MM L-DD l')
+      assert.ok(parsed instanceof CalendarBhutanese)
+      assert.deepStrictEqual(parsed.get(), cal.get())
+    })
+  })
+
+  describe('getMonthDays', function () {
+    it('lists repeated and skipped days', function () {
+      const cal = new CalendarBhutanese(17, 26, 1, false, 1, false)
+      const { days, skippedDays } = cal.getMonthDays()
+      assert.deepStrictEqual(days.filter((d) => d.leapDay).map((d) => d.day), [4])
+      days.forEach(function (d) {
+        assert.strictEqual(new CalendarBhutanese(17, 26, 1, false, d.day, d.leapDay).toJDN(), d.jdn)
+        assert.ok(!skippedDays.includes(d.day))
+      })
+      assert.strictEqual(days.length + skippedDays.length - 1, 30)
+    })
+  })
+
+  describe('getYearInfo', function () {
+    // "Tibetan calendar mathematics" Table 7: Leap months
+    const tests = [
+      { gyear: 2016, leapMonth: 7, order: '1 2 3 4 5 6 7 7L 8 9 10 11 12' },
+      { gyear: 2019, leapMonth: 3, order: '1 2 3 3L 4 5 6 7 8 9 10 11 12' }
+    ]
+    tests.forEach(function (t) {
+      it(String(t.gyear), function () {
+        const info = new CalendarBhutanese().getYearInfo(t.gyear)
+        assert.strictEqual(info.leapMonth, t.leapMonth)
+        assert.strictEqual(info.months.map((m) => m.month + (m.leapMonth ? 'L' : '')).join(' '), t.order)
+        info.months.forEach(function (m) {
+          const cal = new CalendarBhutanese(info.cycle, info.year, m.month, m.leapMonth, 1, false)
+          const { days } = cal.getMonthDays()
+          assert.strictEqual(days[0].jdn, m.first.jdn)
+          assert.strictEqual(days[days.length - 1].jdn, m.last.jdn)
+        })
+      })
+    })
+  })
+
+  describe('arithmetic', function () {
+    it('counts the leap month after the regular month', function () {
+      const cal = new CalendarBhutanese(17, 30, 7, false, 5, false)
+      assert.deepStrictEqual(cal.addMonths(1).get(), [17, 30, 7, true, 5, false])
+      assert.deepStrictEqual(cal.addMonths(1).get(), [17, 30, 8, false, 5, false])
+      assert.deepStrictEqual(new CalendarBhutanese(17, 30, 7, false, 5, false).diff(cal).months, 2)
+    })
+  })
+
+  describe('validation', function () {
+    it('validates with the constants of the variant', function () {
+      assert.ok(new CalendarBhutanese([17, 33, 3, true, 1, false], { strict: true }).isValid())
+      assert.ok(!new CalendarBhutanese([17, 33, 1, true, 1, false]).isValid())
+      assert.throws(() => new CalendarBhutanese([17, 33, 1, true, 1, false], { strict: true }), RangeError)
+    })
+  })
+
+  describe('getTrueLongitudes', function () {
+    it('uses the epoch constants of the variant', function () {
+      const cal = new CalendarBhutanese(17, 38, 1, false, 1, false)
+      const tibetan = new CalendarTibetan(17, 38, 1, false, 1, false)
+      assert.notStrictEqual(cal.getTrueLongitudes().sun.longitude, tibetan.getTrueLongitudes().sun.longitude)
+      assert.strictEqual(cal.getTrueDateParts().trueDate, cal.getTrueDate(cal.getTrueDateParts().trueMonthCount, 1))
+    })
+  })
+
+  describe('getFestivals', function () {
+    it('lists the Bhutanese holidays', function () {
+      const list = new CalendarBhutanese().getFestivals(2024, 2024, { monthly: false })
+      const ymd = ({ gregorian }) => `${gregorian.year}-${gregorian.month}-${gregorian.day}`
+      assert.deepStrictEqual(list.map((f) => [f.id, ymd(f)]), [
+        ['offering-day', '2024-1-12'],
+        ['losar', '2024-2-10'],
+        ['zhabdrung-kuchoe', '2024-4-18'],
+        ['parinirvana', '2024-5-23'],
+        ['guru-rinpoche-birth', '2024-6-16'],
+        ['first-sermon', '2024-7-10'],
+        ['descending-day', '2024-11-22']
+      ])
+    })
+
+    it('lists monthly observances of the leap month after the regular month', function () {
+      const fullMoons = new CalendarBhutanese().getFestivals(2024, 2024, { range: 'tibetan' })
+        .filter((f) => f.id === 'full-moon')
+      assert.strictEqual(fullMoons.length, 13)
+      assert.deepStrictEqual(fullMoons.slice(7, 9).map((f) => f.date.slice(2, 4)), [[8, false], [8, true]])
+    })
+  })
+
+  describe('getMonthName', function () {
+    it('names the second of two months with the same number as leap month', function () {
+      const months = new CalendarBhutanese().getYearInfo(2024).months
+        .filter(({ month }) => month === 8)
+        .map(({ month, leapMonth }) => new CalendarBhutanese(17, 38, month, leapMonth, 1, false).getMonthName('wylie').name)
+      assert.deepStrictEqual(months, ['zla ba brgyad pa', 'zla ba brgyad pa lhag'])
+    })
+  })
+
+  describe('range', function () {
+    it('yields calendar objects of the variant', function () {
+      for (const cal of CalendarBhutanese.range({ year: 2024, month: 1, day: 1 }, { year: 2024, month: 12, day: 31 })) {
+        const { year, month, day } = cal.toGregorian()
+        assert.ok(cal instanceof CalendarBhutanese)
+        assert.deepStrictEqual(cal.get(), new CalendarBhutanese().fromGregorian(year, month, day).get())
+      }
+    })
+  })
+
+  describe('compare', function () {
+    it('orders the leap month after the regular month', function () {
+      const regular = new CalendarBhutanese(17, 38, 8, false, 30, false)
+      const leap = new CalendarBhutanese(17, 38, 8, true, 1, false)
+      assert.ok(regular.isBefore(leap))
+      assert.ok(leap.isBefore(new CalendarBhutanese(17, 38, 9, false, 1, false)))
+      const dates = [new CalendarBhutanese(17, 38, 9, false, 1, false), leap, regular]
+      assert.deepStrictEqual(dates.sort(CalendarBhutanese.compare), [regular, leap, dates[2]])
+    })
+  })
+
+  describe('toString', function () {
+    it('round-trips the leap month', function () {
+      const leap = new CalendarBhutanese(17, 38, 8, true, 1, false)
+      assert.strictEqual(leap.toString(), 'bhutanese:17-38-08L-01')
+      assert.deepStrictEqual(CalendarBhutanese.fromString(leap.toString()).get(), leap.get())
+      assert.deepStrictEqual(CalendarBhutanese.fromJSON(leap.toJSON()).get(), leap.get())
+    })
+  })
 })
@@ -0,0 +1,97 @@
+import assert from 'assert'
+import { run, USAGE } from '../src/cli.js'
+
+function exec (...args) {
+  const out = { stdout: '', stderr: '' }
+  const code = run(args, {
+    stdout: { write: (s) => { out.stdout += s } },
+    stderr: { write: (s) => { out.stderr += s } }
+  })
+  return { code, ...out }
+}
+
+describe('#cli', function () {
+  it('prints the usage', function () {
+    assert.deepStrictEqual(exec(), { code: 0, stdout: USAGE, stderr: '' })
+    assert.strictEqual(exec('--help', 'year', '2024').stdout, USAGE)
+  })
+
+  it('converts a Gregorian date', function () {
+    const { code, stdout } = exec('gregorian', '2024-02-10')
+    assert.strictEqual(code, 0)
+    assert.strictEqual(stdout, [
+      'Tibetan:   17-38-1-1 (tibetan)',
+      'Gregorian: 2024-02-10',
+      'JDN:       2460351',
+      'Weekday:   Saturday',
+      'Month:     First month',
+      'Year:      Wood-Male-Dragon (Krodhin)',
+      ''
+    ].join('\n'))
+  })
+
+  it('converts a JD', function () {
+    const { stdout } = exec('--json', 'jd', '2460351.3')
+    const info = JSON.parse(stdout)
+    assert.deepStrictEqual(info.tibetan, { cycle: 17, year: 38, month: 1, leapMonth: false, day: 1, leapDay: false })
+    assert.strictEqual(info.jdn, 2460351)
+  })
+
+  it('converts a tibetan date', function () {
+    const info = JSON.parse(exec('-j', 'tibetan', '17-38-6L-1').stdout)
+    assert.deepStrictEqual(info.gregorian, { year: 2024, month: 7, day: 6 })
+    assert.strictEqual(JSON.parse(exec('-j', 'tibetan', '17-37-12-29').stdout).jdn, 2460350)
+    assert.strictEqual(JSON.parse(exec('-j', '-d', 'earlier', 'tibetan', '17-37-12-29').stdout).jdn, 2460349)
+  })
+
+  it('selects the calendar', function () {
+    const info = JSON.parse(exec('-c', 'bhutanese', '-j', 'year', '2024').stdout)
+    assert.strictEqual(info.calendar, 'bhutanese')
+    assert.strictEqual(info.leapMonth, 8)
+    assert.deepStrictEqual(info.months.slice(7, 9).map((m) => [m.month, m.leapMonth, m.name]), [
+      [8, false, 'Eighth month'],
+      [8, true, 'Eighth month (leap)']
+    ])
+    const { stdout } = exec('-c', 'mongolian', '-l', 'mn', 'gregorian', '2024-02-10')
+    assert.ok(stdout.includes('хаврын тэргүүн сар'))
+  })
+
+  it('prints a month grid with doubled and skipped days', function () {
+    const { stdout } = exec('month', '2023', '12')
+    assert.strictEqual(stdout, [
+      'Twelfth month 17-37-12 (2024-01-12 - 2024-02-09, tibetan)',
+      'Sun    Mon    Tue    Wed    Thu    Fri    Sat',
+      '                                    1  12  2  13',
+      ' 3  14  4  15  6! 16  7  17  8  18  9  19 10  20',
+      '11  21 12  22 13  23 14  24 15  25 16  26 17  27',
+      '18  28 19  29 20  30 21  31 22*  1 22*  2 23   3',
+      '24   4 25   5 26   6 27   7 28   8 30!  9',
+      '* doubled: 22',
+      '! skipped: 5, 29',
+      ''
+    ].join('\n'))
+    const info = JSON.parse(exec('month', '2023', '12', '--json').stdout)
+    assert.deepStrictEqual([info.doubledDays, info.skippedDays], [[22], [5, 29]])
+  })
+
+  it('lists the months of a year', function () {
+    const lines = exec('year', '2024').stdout.split('\n')
+    assert.strictEqual(lines[1], 'Leap month: 6, 384 days')
+    assert.strictEqual(lines[8], '6L    2024-07-06  2024-08-04    30  Sixth month (leap)')
+    assert.strictEqual(lines.length, 17)
+  })
+
+  it('fails on invalid arguments', function () {
+    assert.strictEqual(exec('--foo').code, 2)
+    assert.strictEqual(exec('foo').code, 2)
+    assert.strictEqual(exec('-c', 'chinese', 'year', '2024').code, 2)
+    assert.deepStrictEqual(exec('-d', 'reject', 'tibetan', '17-37-12-29'), {
+      code: 1,
+      stdout: '',
+      stderr: 'date-tibetan: day 29 of 17-37-12 is skipped\n'
+    })
+    assert.strictEqual(exec('month', '2024', '13').code, 1)
+    assert.strictEqual(exec('tibetan', '2024-02-10').code, 1)
+    assert.strictEqual(exec('jd', 'x').code, 1)
+  })
+})
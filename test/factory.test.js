@@ -0,0 +1,140 @@
+import assert from 'assert'
+import {
+  CalendarTibetan, CalendarMongolian, CalendarBhutanese,
+  createTibetanCalendar, getCalendarParams, rebaseEpoch
+} from '../src/index.js'
+
+describe('#createTibetanCalendar', function () {
+  const mongolian = {
+    m0: 2359237 + 2603 / 2828,
+    s0: 397 / 402,
+    a0: 1523 / 1764,
+    p0: 209 / 270,
+    epochYear: 1747,
+    tzOffset: 8,
+    name: 'CalendarMongolia'
+  }
+
+  describe('construction', function () {
+    it('creates a calendar class', function () {
+      const Calendar = createTibetanCalendar(mongolian)
+      const cal = new Calendar(17, 21, 1, false, 2, false)
+      assert.ok(cal instanceof CalendarTibetan)
+      assert.strictEqual(Calendar.name, 'CalendarMongolia')
+      assert.deepStrictEqual(cal.get(), [17, 21, 1, false, 2, false])
+    })
+
+    it('passes options', function () {
+      const Calendar = createTibetanCalendar(mongolian)
+      assert.throws(() => new Calendar(17, 26, 1, false, 19, true, { strict: true }), RangeError)
+    })
+
+    it('serializes with the variant', function () {
+      const Calendar = createTibetanCalendar({ ...mongolian, variant: 'mongolia' })
+      const cal = new Calendar(17, 21, 1, false, 2, false)
+      assert.strictEqual(cal.toString(), 'mongolia:17-21-01-02')
+      assert.deepStrictEqual(Calendar.fromString(cal.toString()).get(), cal.get())
+      assert.strictEqual(new (createTibetanCalendar(mongolian))(cal).toJSON().calendar, 'custom')
+      assert.strictEqual(getCalendarParams(CalendarMongolian).variant, 'mongolian')
+    })
+
+    it('inherits static methods', function () {
+      const Calendar = createTibetanCalendar(mongolian)
+      assert.ok(Calendar.parse('17-33-7-1', 'C-Y-M-D') instanceof Calendar)
+    })
+  })
+
+  describe('conversions', function () {
+    const Calendar = createTibetanCalendar(mongolian)
+    const tests = [
+      { d: [2003, 2, 2], tib: [17, 17, 1, false, 1, false] },
+      { d: [2012, 12, 24], tib: [17, 26, 11, false, 12, true] },
+      { d: [2013, 1, 10], tib: [17, 26, 11, false, 29, false] }
+    ]
+    tests.forEach(function (t) {
+      it(t.d.join('-'), function () {
+        const [y, m, d] = t.d
+        assert.deepStrictEqual(new Calendar().fromGregorian(y, m, d).get(), t.tib)
+        assert.deepStrictEqual(new Calendar().fromGregorian(y, m, d).get(), new CalendarMongolian().fromGregorian(y, m, d).get())
+        assert.deepStrictEqual(new Calendar(t.tib).toGregorian(), { year: y, month: m, day: d })
+      })
+    })
+
+    it('applies the standard time', function () {
+      const date = new Date('2013-01-09T00:00:00Z')
+      assert.deepStrictEqual(new Calendar().fromDate(date).get(), new CalendarMongolian().fromDate(date).get())
+      assert.deepStrictEqual(new Calendar(17, 26, 11, false, 27, false).toDate(), new Date('2013-01-08T21:00:00Z'))
+    })
+  })
+
+  describe('validation', function () {
+    const tests = [
+      { params: { ...mongolian, m0: '2359237' }, error: TypeError },
+      { params: { ...mongolian, s0: NaN }, error: TypeError },
+      { params: { ...mongolian, a0: undefined }, error: TypeError },
+      { params: { ...mongolian, epochYear: 1747.5 }, error: TypeError },
+      { params: { ...mongolian, leapRule: 'tsurphu' }, error: RangeError },
+      { params: { ...mongolian, tzOffset: 15 }, error: RangeError },
+      { params: { ...mongolian, dayStart: -1 }, error: RangeError },
+      { params: { ...mongolian, variant: 'Mongolia' }, error: RangeError },
+      { params: { ...mongolian, variant: 1 }, error: TypeError }
+    ]
+    tests.forEach(function (t, i) {
+      it(`rejects invalid parameters ${i}`, function () {
+        assert.throws(() => createTibetanCalendar(t.params), t.error)
+      })
+    })
+  })
+
+  describe('getCalendarParams', function () {
+    it('reads the parameters of a class', function () {
+      const params = getCalendarParams(CalendarBhutanese)
+      assert.strictEqual(params.epochYear, 1754)
+      assert.strictEqual(params.leapRule, 'bhutanese')
+      assert.strictEqual(params.tzOffset, 6)
+      assert.ok(Math.abs(params.dayStart - 5) < 1e-9)
+    })
+
+    it('recreates an existing calendar', function () {
+      const Calendar = createTibetanCalendar(getCalendarParams(CalendarBhutanese))
+      const a = new CalendarBhutanese()
+      const b = new Calendar()
+      for (let jd = 2458850; jd < 2458850 + 400; jd++) {
+        assert.deepStrictEqual(b.fromJD(jd).get(), a.fromJD(jd).get())
+      }
+    })
+  })
+
+  describe('rebaseEpoch', function () {
+    const tests = [
+      { Calendar: CalendarTibetan, epochYear: 1927 },
+      { Calendar: CalendarTibetan, epochYear: 1987 },
+      { Calendar: CalendarTibetan, epochYear: 2100 },
+      { Calendar: CalendarMongolian, epochYear: 806 },
+      { Calendar: CalendarBhutanese, epochYear: 1987 }
+    ]
+    tests.forEach(function (t) {
+      it(`${t.Calendar.name} E${t.epochYear}`, function () {
+        const params = rebaseEpoch(getCalendarParams(t.Calendar), t.epochYear)
+        assert.strictEqual(params.epochYear, t.epochYear)
+        const Calendar = createTibetanCalendar(params)
+        const a = new t.Calendar()
+        const b = new Calendar()
+        // 2000-01-01 to 2009-12-31
+        for (let jd = 2451545; jd < 2455197; jd++) {
+          assert.deepStrictEqual(b.fromJD(jd).get(), a.fromJD(jd).get())
+          if (jd % 30 === 0) {
+            assert.strictEqual(b.toJDN(), a.toJDN())
+          }
+        }
+        // the true month count is relative to the epoch
+        const months = (info) => info.months.map(({ trueMonthCount, ...month }) => month)
+        assert.deepStrictEqual(months(new Calendar().getYearInfo(2019)), months(new t.Calendar().getYearInfo(2019)))
+      })
+    })
+
+    it('rejects a non-integer epoch year', function () {
+      assert.throws(() => rebaseEpoch(getCalendarParams(CalendarTibetan), 1927.5), TypeError)
+    })
+  })
+})
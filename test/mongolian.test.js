@@ -1,6 +1,6 @@
 import assert from 'assert'
 import { julian } from 'astronomia'
-import { CalendarMongolian } from '../src/index.js'
+import { CalendarMongolian, CalendarTibetan } from '../src/index.js'
 
 function toDate (jde) {
   return new julian.Calendar().fromJDE(jde).toDate()
@@ -115,4 +115,76 @@ describe('#CalendarMongolian', function () {
       })
     })
   })
+
+  describe('year names', function () {
+    it('inherits year names', function () {
+      const cal = new CalendarMongolian(17, 39, 1, false, 1, false)
+      assert.strictEqual(cal.getYearName().sexagenary, 'Wood-Female-Snake')
+      assert.strictEqual(cal.getYearName('mn').sexagenary, 'хөхөгчин могой')
+      assert.deepStrictEqual(cal.yearFromName('me pho rta'), { cycle: 17, year: 40 })
+    })
+  })
+
+  describe('format', function () {
+    it('round-trips format', function () {
+      const cal = new CalendarMongolian(17, 33, 3, true, 30, false)
+      const str = cal.format('C-YY-MM L-DD l')
+      assert.strictEqual(str, '17-33-03 leap-30 ')
+      const parsed = CalendarMongolian.parse(str, 'C-YY-MM L-DD l')
+      assert.ok(parsed instanceof CalendarMongolian)
+      assert.deepStrictEqual(parsed.get(), cal.get())
+    })
+  })
+
+  describe('validation', function () {
+    it('validates with the constants of the variant', function () {
+      assert.ok(new CalendarMongolian([17, 33, 7, true, 1, false], { strict: true }).isValid())
+      assert.ok(!new CalendarMongolian([17, 33, 1, true, 1, false]).isValid())
+      assert.throws(() => new CalendarMongolian([17, 33, 1, true, 1, false], { strict: true }), RangeError)
+    })
+  })
+
+  describe('getTrueLongitudes', function () {
+    it('uses the epoch constants of the variant', function () {
+      const cal = new CalendarMongolian(17, 38, 1, false, 1, false)
+      const tibetan = new CalendarTibetan(17, 38, 1, false, 1, false)
+      assert.notStrictEqual(cal.getTrueLongitudes().sun.longitude, tibetan.getTrueLongitudes().sun.longitude)
+      assert.strictEqual(cal.getTrueDateParts().trueDate, cal.getTrueDate(cal.getTrueDateParts().trueMonthCount, 1))
+    })
+  })
+
+  describe('getFestivals', function () {
+    it('lists Tsagaan Sar and the Mongolian holidays', function () {
+      const list = new CalendarMongolian().getFestivals(2025, 2025, { monthly: false })
+      const ymd = ({ gregorian }) => `${gregorian.year}-${gregorian.month}-${gregorian.day}`
+      assert.deepStrictEqual(list.map((f) => [f.id, ymd(f)]), [
+        ['tsagaan-sar', '2025-3-1'],
+        ['chotrul-duchen', '2025-3-14'],
+        ['saga-dawa-duchen', '2025-6-11'],
+        ['chokhor-duchen', '2025-7-28'],
+        ['lhabab-duchen', '2025-11-11'],
+        ['chinggis-khaan-birthday', '2025-11-21']
+      ])
+    })
+  })
+
+  describe('getMonthName', function () {
+    it('names the month by season by default', function () {
+      const cal = new CalendarMongolian(17, 38, 1, false, 1, false)
+      assert.strictEqual(cal.getMonthName('mn').name, 'хаврын тэргүүн сар')
+      assert.strictEqual(cal.getMonthName('mn', 'number').name, 'нэгдүгээр сар')
+      assert.strictEqual(cal.getMonthName('mn', 'animal').name, 'бар сар')
+    })
+  })
+
+  describe('range', function () {
+    it('yields calendar objects of the variant', function () {
+      for (const cal of CalendarMongolian.range({ year: 2024, month: 1, day: 1 }, { year: 2024, month: 12, day: 31 })) {
+        const { year, month, day } = cal.toGregorian()
+        assert.ok(cal instanceof CalendarMongolian)
+        assert.deepStrictEqual(cal.get(), new CalendarMongolian().fromGregorian(year, month, day).get())
+      }
+    })
+  })
+
 })
@@ -0,0 +1,149 @@
+import assert from 'assert'
+import { Temporal } from '@js-temporal/polyfill'
+import {
+  CalendarTibetan, CalendarMongolian, CalendarBhutanese, TemporalCalendar
+} from '../src/index.js'
+
+describe('#TemporalCalendar', function () {
+  const calendar = new TemporalCalendar(CalendarTibetan, { Temporal })
+  const date = (iso) => Temporal.PlainDate.from(iso).withCalendar(calendar)
+
+  it('has an identifier', function () {
+    assert.strictEqual(calendar.id, 'tibetan')
+    assert.strictEqual(String(new TemporalCalendar(CalendarMongolian, { Temporal })), 'mongolian')
+    assert.strictEqual(new TemporalCalendar(CalendarBhutanese, { Temporal, id: 'dzongkha' }).id, 'dzongkha')
+    assert.strictEqual(date('2024-02-10').toString(), '2024-02-10[u-ca=tibetan]')
+  })
+
+  it('throws without Temporal', function () {
+    assert.throws(() => new TemporalCalendar(CalendarTibetan), TypeError)
+  })
+
+  it('gets the fields of a date', function () {
+    const losar = date('2024-02-10')
+    assert.deepStrictEqual([losar.year, losar.month, losar.monthCode, losar.day], [2024, 1, 'M01', 1])
+    assert.strictEqual(losar.monthsInYear, 13)
+    assert.strictEqual(losar.inLeapYear, true)
+    assert.strictEqual(losar.daysInYear, 384)
+    assert.strictEqual(date('2024-02-11').dayOfYear, 2)
+    assert.strictEqual(losar.dayOfWeek, 6)
+    assert.deepStrictEqual([losar.weekOfYear, calendar.yearOfWeek(losar)], [6, 2024])
+    assert.deepStrictEqual([date('2024-12-30').weekOfYear, calendar.yearOfWeek(date('2024-12-30'))], [1, 2025])
+    assert.strictEqual(losar.daysInWeek, 7)
+    assert.strictEqual(calendar.era(losar), undefined)
+  })
+
+  it('maps leap months to month codes', function () {
+    // 6L precedes 6 under the Phugpa rule
+    const leap = date('2024-07-06')
+    assert.deepStrictEqual([leap.month, leap.monthCode, leap.day, leap.daysInMonth], [6, 'M06L', 1, 30])
+    assert.deepStrictEqual([date('2024-08-05').month, date('2024-08-05').monthCode], [7, 'M06'])
+    // 8L follows 8 under the Bhutanese rule
+    const bhutanese = new TemporalCalendar(CalendarBhutanese, { Temporal })
+    const leap8 = Temporal.PlainDate.from('2024-10-03').withCalendar(bhutanese)
+    assert.deepStrictEqual([leap8.month, leap8.monthCode], [9, 'M08L'])
+  })
+
+  it('numbers the civil days of a month without gaps', function () {
+    // 17-37-12: day 5 and 29 are skipped, day 22 is doubled
+    const cal = calendar.toCalendar(date('2024-02-09'))
+    assert.deepStrictEqual(cal.get(), [17, 37, 12, false, 30, false])
+    assert.ok(cal instanceof CalendarTibetan)
+    assert.deepStrictEqual([date('2024-02-09').day, date('2024-02-09').daysInMonth], [29, 29])
+    assert.deepStrictEqual(calendar.toCalendar('2024-02-01').get(), [17, 37, 12, false, 22, true])
+    assert.strictEqual(date('2024-02-01').day, 21)
+    assert.strictEqual(calendar.fromCalendar(new CalendarTibetan(17, 38, 1, false, 1, false)).toString(), '2024-02-10[u-ca=tibetan]')
+  })
+
+  it('creates dates from fields', function () {
+    const from = (fields, options) => Temporal.PlainDate.from({ ...fields, calendar }, options)
+    assert.strictEqual(from({ year: 2024, monthCode: 'M06L', day: 1 }).toString(), '2024-07-06[u-ca=tibetan]')
+    assert.strictEqual(from({ year: 2024, month: 7, day: 1 }).toString(), '2024-08-05[u-ca=tibetan]')
+    assert.strictEqual(from({ year: 2024, month: 7, monthCode: 'M06', day: 1 }).toString(), '2024-08-05[u-ca=tibetan]')
+    // constrain
+    assert.strictEqual(from({ year: 2025, monthCode: 'M06L', day: 1 }).monthCode, 'M06')
+    assert.strictEqual(from({ year: 2023, monthCode: 'M12', day: 30 }).toString(), '2024-02-09[u-ca=tibetan]')
+    assert.strictEqual(from({ year: 2023, month: 14, day: 1 }).monthCode, 'M12')
+    // reject
+    const reject = { overflow: 'reject' }
+    assert.throws(() => from({ year: 2025, monthCode: 'M06L', day: 1 }, reject), RangeError)
+    assert.throws(() => from({ year: 2023, monthCode: 'M12', day: 30 }, reject), RangeError)
+    assert.throws(() => from({ year: 2023, month: 13, day: 1 }, reject), RangeError)
+    // invalid fields
+    assert.throws(() => from({ year: 2024, month: 6, monthCode: 'M06', day: 1 }), RangeError)
+    assert.throws(() => from({ year: 2024, monthCode: 'M13', day: 1 }), RangeError)
+    assert.throws(() => from({ year: 2024, day: 1 }), TypeError)
+    assert.throws(() => from({ monthCode: 'M01', day: 1 }), TypeError)
+    assert.throws(() => from({ year: 2024, monthCode: 'M01', day: 0 }), RangeError)
+    assert.throws(() => calendar.dateFromFields({ year: 2024, monthCode: 'M01', day: 1 }, { overflow: 'balance' }), RangeError)
+  })
+
+  it('creates year-months and month-days from fields', function () {
+    const ym = Temporal.PlainYearMonth.from({ year: 2024, monthCode: 'M06L', calendar })
+    assert.ok(ym instanceof Temporal.PlainYearMonth)
+    const { isoYear, isoMonth, isoDay } = ym.getISOFields()
+    assert.deepStrictEqual([isoYear, isoMonth, isoDay], [2024, 7, 6])
+    const md = Temporal.PlainMonthDay.from({ monthCode: 'M01', day: 30, calendar })
+    assert.ok(md instanceof Temporal.PlainMonthDay)
+    assert.deepStrictEqual([md.monthCode, md.day, md.getISOFields().isoYear], ['M01', 30, 1972])
+    const leap = Temporal.PlainMonthDay.from({ monthCode: 'M06L', day: 30, calendar })
+    assert.deepStrictEqual([leap.monthCode, leap.day], ['M06L', 30])
+    assert.ok(leap.getISOFields().isoYear <= 1972)
+  })
+
+  it('adds durations', function () {
+    const losar = date('2024-02-10')
+    assert.strictEqual(losar.add({ days: 30 }).toString(), '2024-03-11[u-ca=tibetan]')
+    assert.strictEqual(losar.add({ weeks: -1 }).toString(), '2024-02-03[u-ca=tibetan]')
+    assert.strictEqual(losar.add({ months: 5 }).monthCode, 'M06L')
+    assert.strictEqual(losar.add({ months: 6 }).monthCode, 'M06')
+    assert.strictEqual(losar.add({ years: 1 }).toString(), '2025-02-28[u-ca=tibetan]')
+    // the leap month is constrained to the regular month
+    const leap = date('2024-07-06')
+    assert.strictEqual(leap.add({ years: 1 }).monthCode, 'M06')
+    assert.throws(() => leap.add({ years: 1 }, { overflow: 'reject' }), RangeError)
+    // the last day of a month of 30 days
+    const day30 = date('2024-03-10')
+    assert.strictEqual(day30.day, 30)
+    assert.strictEqual(day30.add({ months: 1 }).day, 29)
+    assert.throws(() => day30.add({ months: 1 }, { overflow: 'reject' }), RangeError)
+  })
+
+  it('gets the difference of dates', function () {
+    const one = date('2024-02-10')
+    const two = date('2025-03-15')
+    assert.strictEqual(one.until(two).toString(), 'P399D')
+    assert.strictEqual(one.until(two, { largestUnit: 'week' }).toString(), 'P57W')
+    assert.strictEqual(one.until(two, { largestUnit: 'month' }).toString(), 'P13M15D')
+    assert.strictEqual(one.until(two, { largestUnit: 'years' }).toString(), 'P1Y15D')
+    assert.strictEqual(two.until(one, { largestUnit: 'year' }).toString(), '-P1Y15D')
+    assert.throws(() => one.until(two, { largestUnit: 'hour' }), RangeError)
+  })
+
+  it('round-trips through the fields and durations', function () {
+    for (const Calendar of [CalendarTibetan, CalendarMongolian, CalendarBhutanese]) {
+      const cal = new TemporalCalendar(Calendar, { Temporal })
+      const start = Temporal.PlainDate.from('2020-01-01').withCalendar(cal)
+      for (let days = 0; days < 2000; days += 13) {
+        const one = start.add({ days })
+        assert.strictEqual(one.with({ day: one.day }, { overflow: 'reject' }).toString(), one.toString())
+        const { year, monthCode, day } = one
+        assert.ok(Temporal.PlainDate.from({ year, monthCode, day, calendar: cal }).equals(one))
+        const two = one.add({ days: 500 })
+        for (const largestUnit of ['year', 'month', 'day']) {
+          assert.strictEqual(one.add(one.until(two, { largestUnit })).toString(), two.toString())
+          assert.strictEqual(two.add(two.until(one, { largestUnit })).toString(), one.toString())
+        }
+      }
+    }
+  })
+
+  it('merges fields', function () {
+    assert.deepStrictEqual(
+      calendar.mergeFields({ year: 2024, month: 6, monthCode: 'M05L', day: 1 }, { monthCode: 'M06', day: undefined }),
+      { year: 2024, day: 1, monthCode: 'M06' }
+    )
+    assert.deepStrictEqual(calendar.mergeFields({ year: 2024, month: 6 }, { day: 2 }), { year: 2024, month: 6, day: 2 })
+    assert.deepStrictEqual(calendar.fields(['year', 'monthCode', 'day']), ['year', 'monthCode', 'day'])
+  })
+})
@@ -1,6 +1,6 @@
 import assert from 'assert'
 import { julian } from 'astronomia'
-import { CalendarTibetan } from '../src/index.js'
+import { CalendarTibetan, CalendarMongolian, CalendarBhutanese } from '../src/index.js'
 
 function toDate (jde) {
   return new julian.Calendar().fromJDE(jde).toDate()
@@ -121,7 +121,12 @@ describe('#CalendarTibetan', function () {
       { d: [2013,  1, 29], tib: [17, 26, 12, false, 17, false] },
       { d: [2013,  1, 30], tib: [17, 26, 12, false, 18, false] },
       { d: [2013,  2,  1], tib: [17, 26, 12, false, 20, false] },
-      { d: [2013,  2,  2], tib: [17, 26, 12, false, 22, false] }
+      { d: [2013,  2,  2], tib: [17, 26, 12, false, 22, false] },
+      // computing the end of month 5 as day 0 of month 6 gave 6-1 twice
+      // instead of the leap day and 6-1
+      { d: [2077,  7, 19], tib: [18, 31, 5, false, 30, false] },
+      { d: [2077,  7, 20], tib: [18, 31, 6, false, 1, true] },
+      { d: [2077,  7, 21], tib: [18, 31, 6, false, 1, false] }
     ]
 
     describe('fromGregorian', function () {
@@ -147,4 +152,1220 @@ describe('#CalendarTibetan', function () {
     })
   })
 
+  describe('year names', function () {
+    const tests = [
+      { tib: [16, 1], en: 'Fire-Female-Rabbit', wylie: 'me mo yos', name: 'rab byung' },
+      { tib: [17, 21], en: 'Fire-Female-Pig', wylie: 'me mo phag', name: 'thams cad \'dul' },
+      { tib: [17, 38], en: 'Wood-Male-Dragon', wylie: 'shing pho \'brug', name: 'khro mo' },
+      { tib: [17, 39], en: 'Wood-Female-Snake', wylie: 'shing mo sbrul', name: 'sna tshogs dbyig' },
+      { tib: [17, 40], en: 'Fire-Male-Horse', wylie: 'me pho rta', name: 'zil gnon' },
+      { tib: [17, 60], en: 'Fire-Male-Tiger', wylie: 'me pho stag', name: 'zad pa' }
+    ]
+
+    tests.forEach(function (t) {
+      it(t.tib.join('-') + ' ' + t.en, function () {
+        const cal = new CalendarTibetan(t.tib[0], t.tib[1], 1, false, 1, false)
+        assert.strictEqual(cal.getYearName().sexagenary, t.en)
+        assert.strictEqual(cal.getYearName('wylie').sexagenary, t.wylie)
+        assert.strictEqual(cal.getYearName('wylie').name, t.name)
+      })
+    })
+
+    it('localizes names', function () {
+      const cal = new CalendarTibetan(17, 39, 3, false, 19, false)
+      assert.deepStrictEqual(cal.getYearName('bo'), {
+        element: 'ཤིང',
+        gender: 'མོ',
+        animal: 'སྦྲུལ',
+        sexagenary: 'ཤིང་མོ་སྦྲུལ',
+        name: 'སྣ་ཚོགས་དབྱིག'
+      })
+      assert.deepStrictEqual(cal.getYearName('dz'), cal.getYearName('bo'))
+      assert.strictEqual(cal.getYearName('mn').sexagenary, 'хөхөгчин могой')
+      // no Mongolian table of the rab byung names
+      assert.strictEqual(cal.getYearName('mn').name, 'хөхөгчин могой')
+      assert.strictEqual(cal.getYearName('en').name, 'Viśvāvasu')
+    })
+
+    it('throws on unknown locale', function () {
+      assert.throws(() => new CalendarTibetan(17, 39).getYearName('fr'), RangeError)
+    })
+
+    describe('yearFromName', function () {
+      const cal = new CalendarTibetan(17, 39, 3, false, 19, false)
+      const tests = [
+        { name: 'Wood-Female-Snake', cycle: 17, year: 39 },
+        { name: 'wood female snake', cycle: 17, year: 39 },
+        { name: 'sna tshogs dbyig', cycle: 17, year: 39 },
+        { name: 'སྣ་ཚོགས་དབྱིག་', cycle: 17, year: 39 },
+        { name: 'хөхөгчин могой', cycle: 17, year: 39 },
+        { name: 'Visvavasu', cycle: 17, year: 39 },
+        { name: 'rab byung', cycle: 18, year: 1 },
+        { name: 'zad pa', cycle: 16, year: 60 }
+      ]
+      tests.forEach(function (t) {
+        it(t.name, function () {
+          assert.deepStrictEqual(cal.yearFromName(t.name, t.cycle), { cycle: t.cycle, year: t.year })
+        })
+      })
+
+      it('defaults to the current cycle', function () {
+        assert.deepStrictEqual(cal.yearFromName('me pho rta'), { cycle: 17, year: 40 })
+      })
+
+      it('throws on unknown name', function () {
+        assert.throws(() => cal.yearFromName('Wood-Female-Horse'), RangeError)
+      })
+    })
+  })
+
+  describe('format', function () {
+    const cal = new CalendarTibetan(17, 33, 1, true, 5, false)
+    const tests = [
+      { pattern: 'C-YY-MM-DD', locale: 'en', str: '17-33-01-05' },
+      { pattern: 'C-Y-M-D', locale: 'bo', str: '༡༧-༣༣-༡-༥' },
+      { pattern: 'YYYY MMMM D l', locale: 'en', str: '2019 First month (leap) 5 ' },
+      { pattern: 'YYYY M L D', locale: 'en', str: '2019 1 leap 5' },
+      { pattern: 'N, MMMM', locale: 'wylie', str: 'sa mo phag, zla ba dang po lhag' },
+      { pattern: 'NNNN', locale: 'bo', str: 'སྒྱུར་བྱེད' },
+      { pattern: 'MMMM, N', locale: 'mn', str: 'илүү нэгдүгээр сар, шарагчин гахай' },
+      { pattern: 'EEEE [the] D', locale: 'en', str: 'Saturday the 5' },
+      { pattern: 'EEEE', locale: 'wylie', str: 'gza\' spen pa' }
+    ]
+    tests.forEach(function (t) {
+      it(t.locale + ' ' + t.pattern, function () {
+        assert.strictEqual(cal.format(t.pattern, t.locale), t.str)
+      })
+    })
+
+    it('names months like getMonthName', function () {
+      const mongolian = new CalendarMongolian(17, 33, 1, true, 5, false)
+      ;['en', 'wylie', 'bo', 'dz', 'mn'].forEach(function (locale) {
+        assert.strictEqual(cal.format('MMMM', locale), cal.getMonthName(locale).name)
+        assert.strictEqual(mongolian.format('MMMM', locale), mongolian.getMonthName(locale).name)
+      })
+      assert.strictEqual(mongolian.format('MMMM'), 'First spring month (leap)')
+    })
+
+    it('marks leap days', function () {
+      const cal = new CalendarTibetan(17, 26, 1, false, 5, true)
+      assert.strictEqual(cal.format('D l', 'en'), '5 leap')
+      assert.strictEqual(cal.format('D l', 'bo'), '༥ ལྷག')
+    })
+
+    it('throws on unknown locale', function () {
+      assert.throws(() => cal.format('D', 'fr'), RangeError)
+    })
+  })
+
+  describe('parse', function () {
+    const tests = [
+      { str: '17-33-01-05', pattern: 'C-YY-MM-DD', tib: [17, 33, 1, false, 5, false] },
+      { str: '༡༧-༣༣-༡-༥', pattern: 'C-Y-M-D', locale: 'bo', tib: [17, 33, 1, false, 5, false] },
+      { str: '2019 First month leap 5', pattern: 'YYYY MMMM L D l', tib: [17, 33, 1, true, 5, false] },
+      { str: '2012 first month 5 leap', pattern: 'YYYY MMMM L D l', tib: [17, 26, 1, false, 5, true] },
+      { str: '17 sa mo phag, zla ba dang po lhag 5', pattern: 'C N, MMMM L D', locale: 'wylie', tib: [17, 33, 1, true, 5, false] },
+      { str: '2019 First month (leap) 5', pattern: 'YYYY MMMM D', tib: [17, 33, 1, true, 5, false] },
+      { str: '2019 first spring month 5', pattern: 'YYYY MMMM D', tib: [17, 33, 1, false, 5, false] },
+      { str: '2019 mchu zla ba 5', pattern: 'YYYY MMMM D', locale: 'wylie', tib: [17, 33, 1, false, 5, false] },
+      { str: 'илүү нэгдүгээр сар 5, 17-33', pattern: 'MMMM D, C-Y', locale: 'mn', tib: [17, 33, 1, true, 5, false] },
+      { str: 'Saturday 17-33-1-5', pattern: 'EEEE C-Y-M-D', tib: [17, 33, 1, false, 5, false] }
+    ]
+    tests.forEach(function (t) {
+      it(t.str, function () {
+        const cal = CalendarTibetan.parse(t.str, t.pattern, t.locale)
+        assert.ok(cal instanceof CalendarTibetan)
+        assert.deepStrictEqual(cal.get(), t.tib)
+      })
+    })
+
+    it('accepts every name of getMonthName', function () {
+      const mongolian = new CalendarMongolian(17, 33, 1, true, 5, false)
+      ;['en', 'wylie', 'bo', 'dz', 'mn'].forEach(function (locale) {
+        ;['number', 'indian', 'season', 'animal'].forEach(function (naming) {
+          if (!mongolian._getMonthNames(naming, locale)) return
+          const { name } = mongolian.getMonthName(locale, naming)
+          assert.deepStrictEqual(CalendarMongolian.parse(name + ' 5, 17-33', 'MMMM D, C-Y', locale).get(), mongolian.get())
+        })
+      })
+    })
+
+    it('round-trips format', function () {
+      const pattern = 'EEEE, NNNN (N) MMMM D l, C YYYY'
+      const cal = new CalendarTibetan(17, 26, 11, false, 13, true)
+      ;['en', 'wylie', 'bo', 'dz', 'mn'].forEach(function (locale) {
+        const str = cal.format(pattern, locale)
+        assert.deepStrictEqual(CalendarTibetan.parse(str, pattern, locale).get(), cal.get())
+      })
+    })
+
+    it('throws if string does not match', function () {
+      assert.throws(() => CalendarTibetan.parse('17-33', 'C-Y-M-D'), RangeError)
+    })
+  })
+
+  describe('getMonthDays', function () {
+    // "Tibetan calendar mathematics" Table 8: Repeated and skipped days
+    const tests = [
+      { tib: [17, 26, 1, false], length: 30, leapDays: [5], skippedDays: [19], first: [2012, 2, 22] },
+      { tib: [17, 26, 11, false], length: 29, leapDays: [13], skippedDays: [3, 27], first: [2012, 12, 14] },
+      { tib: [17, 26, 12, false], length: 30, leapDays: [17], skippedDays: [21], first: [2013, 1, 12] },
+      { tib: [17, 33, 1, true], length: 30, leapDays: [6], skippedDays: [10], first: [2019, 2, 5] }
+    ]
+    tests.forEach(function (t) {
+      it(t.tib.join('-'), function () {
+        const cal = new CalendarTibetan(t.tib[0], t.tib[1], t.tib[2], t.tib[3], 1, false)
+        const { days, skippedDays } = cal.getMonthDays()
+        assert.strictEqual(days.length, t.length)
+        assert.deepStrictEqual(days.filter((d) => d.leapDay).map((d) => d.day), t.leapDays)
+        assert.deepStrictEqual(skippedDays, t.skippedDays)
+        const { year, month, day } = days[0].gregorian
+        assert.deepStrictEqual([year, month, day], t.first)
+      })
+    })
+
+    it('matches toJDN and fromGregorian', function () {
+      const cal = new CalendarTibetan(17, 26, 11, false, 1, false)
+      const { days } = cal.getMonthDays()
+      days.forEach(function (d, i) {
+        const day = new CalendarTibetan(17, 26, 11, false, d.day, d.leapDay)
+        assert.strictEqual(day.toJDN(), d.jdn)
+        assert.strictEqual(d.jdn, days[0].jdn + i)
+        const { year, month, day: gday } = d.gregorian
+        assert.deepStrictEqual(new CalendarTibetan().fromGregorian(year, month, gday).get(), day.get())
+      })
+    })
+
+    it('reports weekdays', function () {
+      const { days } = new CalendarTibetan(17, 26, 1, false, 1, false).getMonthDays()
+      // 2012-02-22 was a Wednesday
+      assert.deepStrictEqual(days.slice(0, 7).map((d) => d.weekday), [3, 4, 5, 6, 0, 1, 2])
+    })
+  })
+
+  describe('getYearInfo', function () {
+    // "Tibetan calendar mathematics" Table 7: Leap months, Table 9: Gregorian dates for New Year
+    const tests = [
+      { gyear: 2016, tib: [17, 30], losar: [2016, 2, 9], leapMonth: 4, order: '1 2 3 4L 4 5 6 7 8 9 10 11 12' },
+      { gyear: 2018, tib: [17, 32], losar: [2018, 2, 16], leapMonth: null, order: '1 2 3 4 5 6 7 8 9 10 11 12' },
+      { gyear: 2019, tib: [17, 33], losar: [2019, 2, 5], leapMonth: 1, order: '1L 1 2 3 4 5 6 7 8 9 10 11 12' },
+      { gyear: 2027, tib: [17, 41], losar: [2027, 2, 7], leapMonth: 2, order: '1 2L 2 3 4 5 6 7 8 9 10 11 12' }
+    ]
+    tests.forEach(function (t) {
+      it(String(t.gyear), function () {
+        const info = new CalendarTibetan().getYearInfo(t.gyear)
+        assert.deepStrictEqual([info.cycle, info.year, info.gregorianYear], [...t.tib, t.gyear])
+        const { year, month, day } = info.losar.gregorian
+        assert.deepStrictEqual([year, month, day], t.losar)
+        assert.strictEqual(info.leapMonth, t.leapMonth)
+        assert.strictEqual(info.months.map((m) => m.month + (m.leapMonth ? 'L' : '')).join(' '), t.order)
+      })
+    })
+
+    it('defaults to the current year', function () {
+      const info = new CalendarTibetan(17, 30, 5, false, 10, false).getYearInfo()
+      assert.strictEqual(info.gregorianYear, 2016)
+      assert.strictEqual(info.months.length, 13)
+    })
+
+    it('has contiguous months', function () {
+      const info = new CalendarTibetan().getYearInfo(2016)
+      let length = 0
+      info.months.forEach(function (m, i) {
+        assert.strictEqual(m.length, m.last.jdn - m.first.jdn + 1)
+        assert.ok(m.length === 29 || m.length === 30)
+        if (i > 0) {
+          assert.strictEqual(m.first.jdn, info.months[i - 1].last.jdn + 1)
+          assert.strictEqual(m.trueMonthCount, info.months[i - 1].trueMonthCount + 1)
+        }
+        const cal = new CalendarTibetan(17, 30, m.month, m.leapMonth, 1, false)
+        assert.strictEqual(cal.getMonthDays().days[0].jdn, m.first.jdn)
+        length += m.length
+      })
+      assert.strictEqual(info.length, length)
+      assert.strictEqual(new CalendarTibetan().getYearInfo(2017).losar.jdn, info.months[12].last.jdn + 1)
+    })
+  })
+
+  describe('arithmetic', function () {
+    // 17-26-1: day 5 is repeated, day 19 is skipped
+    const tests = [
+      { tib: [17, 26, 1, false, 4, false], op: 'addDays', n: 1, exp: [17, 26, 1, false, 5, true] },
+      { tib: [17, 26, 1, false, 4, false], op: 'addDays', n: 2, exp: [17, 26, 1, false, 5, false] },
+      { tib: [17, 26, 1, false, 18, false], op: 'addDays', n: 1, exp: [17, 26, 1, false, 20, false] },
+      { tib: [17, 26, 1, false, 1, false], op: 'addDays', n: -1, exp: [17, 25, 12, false, 30, false] },
+      { tib: [17, 26, 1, false, 4, false], op: 'addLunarDays', n: 1, exp: [17, 26, 1, false, 5, false] },
+      { tib: [17, 26, 1, false, 18, false], op: 'addLunarDays', n: 1, exp: [17, 26, 1, false, 20, false] },
+      { tib: [17, 26, 1, false, 17, false], op: 'addLunarDays', n: 14, exp: [17, 26, 2, false, 1, false] },
+      { tib: [17, 26, 1, false, 17, false], op: 'addLunarDays', n: -13, exp: [17, 26, 1, false, 4, false] },
+      { tib: [17, 30, 3, false, 5, false], op: 'addMonths', n: 1, exp: [17, 30, 4, true, 5, false] },
+      { tib: [17, 30, 3, false, 5, false], op: 'addMonths', n: 2, exp: [17, 30, 4, false, 5, false] },
+      { tib: [17, 30, 12, false, 5, false], op: 'addMonths', n: 2, exp: [17, 31, 2, false, 5, false] },
+      { tib: [17, 26, 2, false, 19, false], op: 'addMonths', n: -1, exp: [17, 26, 1, false, 20, false] },
+      { tib: [17, 26, 12, false, 5, true], op: 'addMonths', n: -11, exp: [17, 26, 1, false, 5, true] },
+      { tib: [17, 26, 12, false, 5, true], op: 'addMonths', n: -10, exp: [17, 26, 2, false, 5, false] },
+      { tib: [17, 33, 1, true, 5, false], op: 'addYears', n: 1, exp: [17, 34, 1, false, 5, false] },
+      { tib: [17, 32, 1, false, 5, false], op: 'addYears', n: -6, exp: [17, 26, 1, false, 5, false] },
+      { tib: [17, 60, 3, false, 5, false], op: 'addYears', n: 1, exp: [18, 1, 3, false, 5, false] }
+    ]
+    tests.forEach(function (t) {
+      it(`${t.tib.join('-')} ${t.op}(${t.n})`, function () {
+        const cal = new CalendarTibetan(t.tib)
+        assert.strictEqual(cal[t.op](t.n), cal)
+        assert.deepStrictEqual(cal.get(), t.exp)
+      })
+    })
+
+    it('adds days like JDN', function () {
+      const cal = new CalendarTibetan(17, 26, 1, false, 1, false)
+      const jdn = cal.toJDN()
+      for (let i = 0; i < 60; i++) {
+        assert.strictEqual(new CalendarTibetan(cal).addDays(i).toJDN(), jdn + i)
+      }
+    })
+
+    describe('diff', function () {
+      const tests = [
+        { a: [17, 26, 1, false, 4, false], b: [17, 26, 1, false, 6, false], exp: { days: 3, lunarDays: 2, months: 0, years: 0 } },
+        { a: [17, 26, 1, false, 18, false], b: [17, 26, 1, false, 20, false], exp: { days: 1, lunarDays: 2, months: 0, years: 0 } },
+        { a: [17, 30, 3, false, 5, false], b: [17, 30, 4, false, 5, false], exp: { days: 58, lunarDays: 60, months: 2, years: 0 } },
+        { a: [17, 30, 3, false, 5, false], b: [17, 30, 4, false, 4, false], exp: { days: 57, lunarDays: 59, months: 1, years: 0 } },
+        { a: [17, 30, 3, false, 5, false], b: [17, 33, 1, true, 4, false], exp: { days: 1032, lunarDays: 1049, months: 34, years: 2 } },
+        { a: [17, 26, 1, false, 5, true], b: [17, 27, 1, false, 5, false], exp: { days: 355, lunarDays: 360, months: 12, years: 1 } }
+      ]
+      tests.forEach(function (t) {
+        it(`${t.a.join('-')} ${t.b.join('-')}`, function () {
+          const a = new CalendarTibetan(t.a)
+          const b = new CalendarTibetan(t.b)
+          assert.deepStrictEqual(a.diff(b), t.exp)
+          const neg = {}
+          Object.keys(t.exp).forEach((k) => { neg[k] = -t.exp[k] || 0 })
+          assert.deepStrictEqual(b.diff(a), neg)
+        })
+      })
+    })
+  })
+
+  describe('validation', function () {
+    const tests = [
+      { tib: [17, 26, 1, false, 5, true], valid: true },
+      { tib: [17, 26, 1, false, 5, false], valid: true },
+      { tib: [17, 26, 1, false, 6, true], valid: false, message: /day 6 of 17-26-1 is not repeated/ },
+      { tib: [17, 26, 1, false, 19, false], valid: false, message: /day 19 of 17-26-1 is skipped/ },
+      { tib: [17, 30, 4, true, 1, false], valid: true },
+      { tib: [17, 30, 5, true, 1, false], valid: false, message: /month 5 of 17-30 is not doubled/ },
+      { tib: [17, 30, 13, false, 1, false], valid: false, message: /month 13 is out of range 1-12/ },
+      { tib: [17, 30, 1, false, 31, false], valid: false, message: /day 31 is out of range 1-30/ },
+      { tib: [17, 61, 1, false, 1, false], valid: false, message: /year 61 is out of range 1-60/ },
+      { tib: [17, 30, 1.5, false, 1, false], valid: false, message: /month must be an integer/ },
+      { tib: [17, 30, undefined, false, 1, false], valid: false, message: /month must be an integer/ }
+    ]
+
+    tests.forEach(function (t) {
+      it(t.tib.join('-'), function () {
+        assert.strictEqual(new CalendarTibetan(t.tib).isValid(), t.valid)
+        if (t.valid) {
+          assert.deepStrictEqual(new CalendarTibetan(t.tib, { strict: true }).get(), t.tib)
+        } else {
+          assert.throws(() => new CalendarTibetan(t.tib, { strict: true }), { name: 'RangeError', message: t.message })
+          assert.throws(() => new CalendarTibetan(...t.tib, { strict: true }), RangeError)
+        }
+      })
+    })
+
+    it('throws from set() in strict mode', function () {
+      const cal = new CalendarTibetan({ strict: true })
+      assert.strictEqual(cal.cycle, undefined)
+      assert.throws(() => cal.set(17, 26, 1, false, 19, false), RangeError)
+      assert.deepStrictEqual(cal.set(17, 26, 1, false, 20, false).get(), [17, 26, 1, false, 20, false])
+    })
+
+    it('rejects missing date parts in strict mode', function () {
+      const cal = new CalendarTibetan(17, 39, 3, false, 1, false, { strict: true })
+      assert.throws(() => cal.set(undefined, 39, 3, false, 45, false), { name: 'RangeError', message: /cycle must be an integer/ })
+      assert.deepStrictEqual(cal.get(), [17, 39, 3, false, 1, false])
+      assert.ok(cal.isValid())
+      assert.throws(() => new CalendarTibetan(undefined, 39, 3, false, 1, false, { strict: true }), RangeError)
+      assert.throws(() => cal.set(), RangeError)
+      assert.strictEqual(new CalendarTibetan(undefined, undefined, undefined, undefined, undefined, undefined, { strict: true }).cycle, undefined)
+    })
+
+    it('does not throw by default', function () {
+      const cal = new CalendarTibetan(17, 26, 1, false, 19, false)
+      assert.deepStrictEqual(cal.set(17, 30, 13, false, 31, false).get(), [17, 30, 13, false, 31, false])
+    })
+
+    it('accepts every computed date in strict mode', function () {
+      const cal = new CalendarTibetan({ strict: true }).fromGregorian(2012, 2, 22)
+      for (let i = 0; i < 400; i++) {
+        assert.ok(cal.addDays(1).isValid())
+      }
+      assert.deepStrictEqual(new CalendarTibetan(17, 26, 1, false, 18, false, { strict: true }).addLunarDays(1).get(), [17, 26, 1, false, 20, false])
+    })
+  })
+
+  describe('disambiguation', function () {
+    // 17-26-1: 2012-03-11 is day 18, day 19 is skipped, 2012-03-12 is day 20
+    const skipped = [17, 26, 1, false, 19, false]
+
+    it('resolves a skipped day to the following day by default', function () {
+      const cal = new CalendarTibetan(skipped)
+      assert.deepStrictEqual(cal.toGregorian(), { year: 2012, month: 3, day: 12 })
+      assert.deepStrictEqual(cal.toGregorian({ disambiguation: 'later' }), { year: 2012, month: 3, day: 12 })
+    })
+
+    it('resolves a skipped day to the preceding day', function () {
+      const cal = new CalendarTibetan(skipped)
+      assert.deepStrictEqual(cal.toGregorian({ disambiguation: 'earlier' }), { year: 2012, month: 3, day: 11 })
+      assert.strictEqual(cal.toJDN(undefined, { disambiguation: 'earlier' }), cal.toJDN() - 1)
+      assert.deepStrictEqual(cal.toDate({ disambiguation: 'earlier' }), new Date('2012-03-11T05:00:00+0604'))
+    })
+
+    it('rejects a skipped day', function () {
+      const cal = new CalendarTibetan(skipped)
+      assert.throws(() => cal.toJDN({ disambiguation: 'reject' }), { name: 'RangeError', message: /skipped/ })
+      assert.throws(() => cal.toGregorian({ disambiguation: 'reject' }), RangeError)
+      assert.throws(() => cal.toDate({ disambiguation: 'reject' }), RangeError)
+    })
+
+    it('resolves a leap month which does not exist to the regular month', function () {
+      const cal = new CalendarTibetan(17, 30, 5, true, 1, false)
+      const regular = new CalendarTibetan(17, 30, 5, false, 1, false)
+      assert.strictEqual(cal.toJDN({ disambiguation: 'earlier' }), regular.toJDN())
+      assert.strictEqual(cal.toJDN({ disambiguation: 'later' }), regular.toJDN())
+      assert.throws(() => cal.toJDN({ disambiguation: 'reject' }), { name: 'RangeError', message: /not doubled/ })
+    })
+
+    it('maps a missing leap month to the regular month with earlier and later', function () {
+      // 17-39 has no leap month; the regular month 3 begins on 2025-04-28
+      for (const disambiguation of ['earlier', 'later']) {
+        const cal = new CalendarTibetan(17, 39, 3, true, 1, false, { disambiguation })
+        assert.strictEqual(cal.toJDN(), 2460794)
+        assert.deepStrictEqual(cal.toGregorian(), new CalendarTibetan(17, 39, 3, false, 1, false).toGregorian())
+      }
+      assert.throws(() => new CalendarTibetan(17, 39, 3, true, 1, false).toJDN({ disambiguation: 'reject' }), RangeError)
+    })
+
+    it('rejects a leap day which is not repeated', function () {
+      const cal = new CalendarTibetan(17, 26, 1, false, 6, true)
+      assert.strictEqual(cal.toJDN(), new CalendarTibetan(17, 26, 1, false, 6, false).toJDN())
+      assert.throws(() => cal.toJDN({ disambiguation: 'reject' }), RangeError)
+    })
+
+    it('accepts valid dates with reject', function () {
+      const cal = new CalendarTibetan(17, 26, 1, false, 5, true)
+      assert.deepStrictEqual(cal.toGregorian({ disambiguation: 'reject' }), { year: 2012, month: 2, day: 26 })
+    })
+
+    it('takes the default from the constructor', function () {
+      const cal = new CalendarTibetan(skipped, { disambiguation: 'earlier' })
+      assert.deepStrictEqual(cal.toGregorian(), { year: 2012, month: 3, day: 11 })
+      assert.deepStrictEqual(cal.toGregorian({ disambiguation: 'later' }), { year: 2012, month: 3, day: 12 })
+      assert.throws(() => new CalendarTibetan(skipped, { disambiguation: 'reject' }).toJDN(), RangeError)
+    })
+
+    it('throws on unknown disambiguation', function () {
+      assert.throws(() => new CalendarTibetan(skipped).toJDN({ disambiguation: 'compatible' }), RangeError)
+    })
+  })
+
+  describe('getPanchanga', function () {
+    it('gets the elements of losar 2024', function () {
+      const p = new CalendarTibetan(17, 38, 1, false, 1, false).getPanchanga()
+      assert.strictEqual(p.weekday.index, 6)
+      assert.strictEqual(p.weekday.name, 'Saturday')
+      assert.strictEqual(p.mansion.name, 'Śravaṇa')
+      assert.strictEqual(p.yoga.name, 'Siddhi')
+      assert.strictEqual(p.karana.name, 'Kiṃstughna')
+      assert.strictEqual((p.weekday.end * 60).toFixed(2), '46.62')
+      assert.strictEqual((p.mansion.end * 60).toFixed(2), '35.06')
+    })
+
+    it('gets wylie names', function () {
+      const p = new CalendarTibetan(17, 37, 4, false, 12, false).getPanchanga('wylie')
+      assert.deepStrictEqual(
+        [p.weekday.name, p.mansion.name, p.yoga.name, p.karana.name],
+        ['gza\' phur bu', 'nag pa', 'dngos grub', 'byis pa']
+      )
+    })
+
+    it('ends the second karana of a lunar day with the lunar day', function () {
+      const p = new CalendarTibetan(17, 26, 11, false, 1, false).getPanchanga()
+      assert.strictEqual(p.karana.name, 'Bava')
+      assert.strictEqual(p.karana.end, p.weekday.end)
+    })
+
+    it('continues an element into the next day', function () {
+      const cal = new CalendarTibetan().fromGregorian(2024, 1, 1)
+      for (let i = 0; i < 60; i++) {
+        const p = cal.getPanchanga()
+        const next = new CalendarTibetan().fromJD(cal.toJDN() + 1).getPanchanga()
+        for (const limb of ['mansion', 'yoga', 'karana']) {
+          assert.ok(p[limb].end > 0 && p[limb].end < 2)
+          if (p[limb].end > 1 && limb !== 'karana') {
+            assert.strictEqual(next[limb].index, p[limb].index)
+          }
+        }
+        cal.addDays(1)
+      }
+    })
+
+    it('takes a skipped day as the following day', function () {
+      const skipped = new CalendarTibetan(17, 26, 1, false, 19, false).getPanchanga()
+      const next = new CalendarTibetan(17, 26, 1, false, 20, false).getPanchanga()
+      assert.deepStrictEqual(skipped, next)
+    })
+
+    it('throws on a locale without names', function () {
+      assert.throws(() => new CalendarTibetan(17, 38, 1, false, 1, false).getPanchanga('mn'), RangeError)
+    })
+  })
+
+  describe('getTrueLongitudes', function () {
+    const cal = new CalendarTibetan(17, 38, 1, false, 1, false)
+
+    it('gets the true sun and moon of this date', function () {
+      const { sun, moon } = cal.getTrueLongitudes()
+      assert.deepStrictEqual(
+        [sun.mansion, sun.chuTshod, sun.chuSrang, sun.dbugs, sun.fraction],
+        [21, 18, 29, 0, 0.626866]
+      )
+      // one lunar day later than the sun: 1/30 revolution = 0;54
+      assert.deepStrictEqual(
+        [moon.mansion, moon.chuTshod, moon.chuSrang, moon.dbugs, moon.fraction],
+        [22, 12, 29, 0, 0.626866]
+      )
+    })
+
+    it('adds up the units to the longitude', function () {
+      for (let d = 1; d <= 30; d++) {
+        const { sun, moon } = cal.getTrueLongitudes(15064, d)
+        for (const l of [sun, moon]) {
+          const dbugs = (((l.mansion * 60 + l.chuTshod) * 60 + l.chuSrang) * 6 + l.dbugs) + l.fraction
+          assert.ok(Math.abs(dbugs / (27 * 60 * 60 * 6) - l.longitude) < 1e-9)
+        }
+      }
+    })
+
+    it('counts lunar days outside of 1-30 into the neighbouring months', function () {
+      assert.deepStrictEqual(cal.getTrueLongitudes(15064, 0), cal.getTrueLongitudes(15063, 30))
+      assert.deepStrictEqual(cal.getTrueLongitudes(15064, 31), cal.getTrueLongitudes(15065, 1))
+    })
+  })
+
+  describe('getTrueDateParts', function () {
+    it('decomposes the true date', function () {
+      const cal = new CalendarTibetan(17, 38, 1, false, 1, false)
+      const parts = cal.getTrueDateParts()
+      assert.strictEqual(parts.trueMonthCount, 15064)
+      assert.strictEqual(parts.lunarDay, 1)
+      assert.strictEqual(parts.trueDate, cal.getTrueDate(15064, 1))
+      assert.strictEqual(parts.trueDate, parts.meanDate + parts.moonEqu / 60 - parts.sunEqu / 60)
+      assert.strictEqual(Math.floor(parts.trueDate), cal.toJDN())
+      assert.ok(Math.abs(parts.anomalySun - (parts.meanSun - 0.25)) < 1e-12)
+      assert.strictEqual(parts.trueSun, cal.getTrueLongitudes().sun.longitude)
+    })
+  })
+
+  describe('getFestivals', function () {
+    const ymd = ({ gregorian }) => `${gregorian.year}-${gregorian.month}-${gregorian.day}`
+
+    it('lists the festivals of 2024', function () {
+      const list = new CalendarTibetan().getFestivals(2024, 2024, { monthly: false })
+      assert.deepStrictEqual(list.map((f) => [f.id, ymd(f)]), [
+        ['losar', '2024-2-10'],
+        ['chotrul-duchen', '2024-2-24'],
+        ['saga-dawa-duchen', '2024-5-23'],
+        ['chokhor-duchen', '2024-8-8'],
+        ['lhabab-duchen', '2024-11-22']
+      ])
+    })
+
+    it('holds a festival in the regular month of two doubled months', function () {
+      const festival = (year, id) => new CalendarTibetan().getFestivals(year, year, { monthly: false })
+        .find((f) => f.id === id)
+      // 1L precedes 1 in 2019, 4L precedes 4 in 2016
+      assert.strictEqual(ymd(festival(2019, 'losar')), '2019-2-5')
+      assert.strictEqual(ymd(festival(2019, 'chotrul-duchen')), '2019-3-21')
+      assert.strictEqual(ymd(festival(2016, 'saga-dawa-duchen')), '2016-6-20')
+      assert.deepStrictEqual(festival(2024, 'chokhor-duchen').date, [17, 38, 6, false, 4, false])
+    })
+
+    it('holds an observance of a doubled day on the second of the two days', function () {
+      const doubled = (options) => new CalendarTibetan().getFestivals(2024, 2024, { monthly: false, ...options })
+        .filter((f) => f.adjustment === 'doubled')
+      // 6L-4 is doubled, but Chokhor Duchen is held in the regular month
+      assert.deepStrictEqual(doubled(), [])
+      const medicine = (options) => new CalendarTibetan().getFestivals(2024, 2024, options)
+        .find((f) => f.id === 'medicine-buddha' && f.adjustment === 'doubled')
+      assert.deepStrictEqual([ymd(medicine()), medicine().date[5]], ['2024-5-16', false])
+      assert.deepStrictEqual([ymd(medicine({ doubledDay: 'first' })), medicine({ doubledDay: 'first' }).date[5]], ['2024-5-15', true])
+    })
+
+    it('holds an observance of a skipped day on the preceding day', function () {
+      const dakini = (options) => new CalendarTibetan().getFestivals(2024, 2024, options)
+        .filter((f) => f.id === 'dakini' && f.adjustment === 'skipped')
+      assert.deepStrictEqual(dakini().map((f) => [ymd(f), f.date]), [
+        ['2024-6-1', [17, 38, 4, false, 24, false]]
+      ])
+      assert.deepStrictEqual(dakini({ skippedDay: 'later' }).map((f) => [ymd(f), f.date]), [
+        ['2024-6-2', [17, 38, 4, false, 26, false]]
+      ])
+    })
+
+    it('lists monthly observances in leap months', function () {
+      const list = new CalendarTibetan().getFestivals(2024, 2024, { range: 'tibetan' })
+      const fullMoons = list.filter((f) => f.id === 'full-moon')
+      assert.strictEqual(fullMoons.length, 13)
+      assert.ok(fullMoons.every((f) => f.monthly && f.date[4] === 15))
+      assert.strictEqual(list[0].id, 'losar')
+      assert.strictEqual(list[1].id, 'medicine-buddha')
+    })
+
+    it('lists festivals within the range only', function () {
+      const list = new CalendarTibetan().getFestivals(2023, 2025)
+      assert.strictEqual(ymd(list[0]).slice(0, 4), '2023')
+      assert.strictEqual(ymd(list[list.length - 1]).slice(0, 4), '2025')
+      for (let i = 1; i < list.length; i++) {
+        assert.ok(list[i - 1].jdn <= list[i].jdn)
+      }
+    })
+
+    it('defaults to the year of this date', function () {
+      assert.deepStrictEqual(
+        new CalendarTibetan(17, 38, 5, false, 1, false).getFestivals(),
+        new CalendarTibetan().getFestivals(2024)
+      )
+    })
+
+    it('throws on unknown range', function () {
+      assert.throws(() => new CalendarTibetan().getFestivals(2024, 2024, { range: 'julian' }), RangeError)
+      assert.throws(() => new CalendarTibetan().getFestivals(2024, 2024, { doubledDay: 'both' }), RangeError)
+      assert.throws(() => new CalendarTibetan().getFestivals(2024, 2024, { skippedDay: 'none' }), RangeError)
+    })
+  })
+
+  describe('getDayQuality', function () {
+    it('finds the nectar combination of weekday and mansion', function () {
+      const q = new CalendarTibetan().fromGregorian(2024, 3, 18).getDayQuality()
+      assert.strictEqual(q.weekday, 1)
+      assert.strictEqual(q.mansion, 4)
+      assert.deepStrictEqual(q.conjunction, { id: 'amrita', auspicious: true })
+    })
+
+    it('finds the death combination of weekday and mansion', function () {
+      const q = new CalendarTibetan().fromGregorian(2024, 1, 16).getDayQuality()
+      assert.deepStrictEqual([q.weekday, q.mansion], [2, 23])
+      assert.deepStrictEqual(q.conjunction, { id: 'mrtyu', auspicious: false })
+    })
+
+    it('has no combination on other days', function () {
+      assert.strictEqual(new CalendarTibetan().fromGregorian(2024, 1, 17).getDayQuality().conjunction, null)
+    })
+
+    it('gets the weekdays of the animal of the year', function () {
+      // Wood-Dragon year, Saturday
+      const cal = new CalendarTibetan(17, 38, 1, false, 1, false)
+      assert.deepStrictEqual(cal.getDayQuality().lifeForce, { animal: 4, bla: 0, srog: 3, gshed: 4, day: null })
+      // Sunday
+      assert.strictEqual(cal.addDays(1).getDayQuality().lifeForce.day, 'bla')
+    })
+
+    it('gets the weekdays of a given animal', function () {
+      const cal = new CalendarTibetan(17, 38, 1, false, 1, false)
+      assert.strictEqual(cal.getDayQuality({ animal: 'Rat' }).lifeForce.day, 'gshed')
+      assert.strictEqual(cal.getDayQuality({ animal: 'lug' }).lifeForce.animal, 7)
+      assert.strictEqual(cal.getDayQuality({ animal: 2 }).lifeForce.day, 'srog')
+      assert.throws(() => cal.getDayQuality({ animal: 'Cat' }), RangeError)
+      assert.throws(() => cal.getDayQuality({ animal: 12 }), RangeError)
+    })
+
+    it('checks black days and zin phung with given tables', function () {
+      const cal = new CalendarTibetan(17, 38, 1, false, 1, false)
+      assert.strictEqual(cal.getDayQuality().nyiNag, null)
+      assert.strictEqual(cal.getDayQuality().zinPhung, null)
+      const tables = { nyiNag: { 1: [1, 7] }, zinPhung: { 2: [1] } }
+      assert.strictEqual(cal.getDayQuality({ tables }).nyiNag, true)
+      assert.strictEqual(cal.getDayQuality({ tables }).zinPhung, false)
+    })
+
+    it('looks up leap months and doubled days by their numbers', function () {
+      const tables = { nyiNag: { 6: [4] }, zinPhung: { 4: [8] } }
+      // 6L-4 of 2024 is doubled; both civil days and 6-4 match
+      const days = [[2024, 7, 9], [2024, 7, 10], [2024, 8, 8]]
+        .map(([y, m, d]) => new CalendarTibetan().fromGregorian(y, m, d))
+      assert.deepStrictEqual(days.map((cal) => cal.get().slice(2)), [[6, true, 4, true], [6, true, 4, false], [6, false, 4, false]])
+      assert.ok(days.every((cal) => cal.getDayQuality({ tables }).nyiNag))
+      assert.strictEqual(days[0].getDayQuality({ tables }).zinPhung, false)
+    })
+
+    it('throws on invalid tables', function () {
+      const cal = new CalendarTibetan(17, 38, 1, false, 1, false)
+      assert.throws(() => cal.getDayQuality({ tables: { nyiNag: null } }), TypeError)
+      assert.throws(() => cal.getDayQuality({ tables: { nyiNag: { 1: 7 } } }), TypeError)
+      assert.throws(() => cal.getDayQuality({ tables: { nyiNag: { 13: [7] } } }), RangeError)
+      assert.throws(() => cal.getDayQuality({ tables: { zinPhung: { 1: [31] } } }), RangeError)
+    })
+  })
+
+  describe('getMonthName', function () {
+    it('names the month by number by default', function () {
+      const cal = new CalendarTibetan(17, 38, 4, false, 15, false)
+      assert.deepStrictEqual(cal.getMonthName(), { month: 4, kalacakra: 2, leapMonth: false, name: 'Fourth month' })
+      assert.strictEqual(cal.getMonthName('wylie').name, 'zla ba bzhi pa')
+    })
+
+    it('names the month by Indian month', function () {
+      const cal = new CalendarTibetan(17, 38, 4, false, 15, false)
+      assert.strictEqual(cal.getMonthName('wylie', 'indian').name, 'sa ga zla ba')
+      assert.strictEqual(cal.getMonthName('en', 'indian').name, 'Vaiśākha')
+      assert.strictEqual(cal.getMonthName('bo', 'indian').name, 'ས་ག་ཟླ་བ')
+      assert.strictEqual(new CalendarTibetan(17, 38, 1, false, 1, false).getMonthName('wylie', 'indian').name, 'mchu zla ba')
+      assert.strictEqual(new CalendarTibetan(17, 38, 3, false, 1, false).getMonthName('wylie', 'indian').name, 'nag pa zla ba')
+    })
+
+    it('names the month by season and animal', function () {
+      const cal = new CalendarTibetan(17, 38, 11, false, 1, false)
+      assert.strictEqual(cal.getMonthName('en', 'season').name, 'Middle winter month')
+      assert.strictEqual(cal.getMonthName('en', 'animal').name, 'Rat month')
+      assert.strictEqual(new CalendarTibetan(17, 38, 1, false, 1, false).getMonthName('wylie', 'animal').name, 'stag zla')
+    })
+
+    it('counts the Kālacakra months from nag pa', function () {
+      const kalacakra = [1, 2, 3, 12].map((month) => new CalendarTibetan(17, 38, month, false, 1, false).getMonthName().kalacakra)
+      assert.deepStrictEqual(kalacakra, [11, 12, 1, 10])
+    })
+
+    it('names the leap month', function () {
+      const cal = new CalendarTibetan(17, 38, 6, true, 1, false)
+      assert.strictEqual(cal.getMonthName().name, 'Sixth month (leap)')
+      assert.strictEqual(cal.getMonthName('wylie', 'indian').name, 'chu stod zla ba lhag')
+      assert.strictEqual(cal.getMonthName('mn').name, 'илүү зургаадугаар сар')
+    })
+
+    it('throws on unknown naming or missing names', function () {
+      const cal = new CalendarTibetan(17, 38, 6, false, 1, false)
+      assert.throws(() => cal.getMonthName('en', 'gregorian'), RangeError)
+      assert.throws(() => cal.getMonthName('mn', 'indian'), RangeError)
+      assert.throws(() => cal.getMonthName('fr'), RangeError)
+    })
+  })
+
+  describe('monthFromName', function () {
+    const cal = new CalendarTibetan()
+    const tests = [
+      ['sa ga zla ba', { month: 4, leapMonth: false }],
+      ['Saga Zla-ba', { month: 4, leapMonth: false }],
+      ['Vaisakha', { month: 4, leapMonth: false }],
+      ['Sixth month (leap)', { month: 6, leapMonth: true }],
+      ['chu stod zla ba lhag', { month: 6, leapMonth: true }],
+      ['илүү хаврын дунд сар', { month: 2, leapMonth: true }],
+      ['stag zla', { month: 1, leapMonth: false }],
+      ['ཟླ་བ་བཅུ་གཉིས་པ', { month: 12, leapMonth: false }]
+    ]
+    tests.forEach(([name, expected]) => {
+      it(name, function () {
+        assert.deepStrictEqual(cal.monthFromName(name), expected)
+      })
+    })
+
+    it('throws on unknown name', function () {
+      assert.throws(() => cal.monthFromName('Thirteenth month'), RangeError)
+    })
+  })
+
+  describe('timeZone and dayStart', function () {
+    const losar = [17, 38, 1, false, 1, false]
+
+    it('begins the day at daybreak in the given timezone', function () {
+      const cal = new CalendarTibetan(losar)
+      assert.strictEqual(cal.toDate().toISOString(), '2024-02-09T22:56:00.000Z')
+      assert.strictEqual(cal.toDate({ timeZone: 'America/New_York' }).toISOString(), '2024-02-10T10:00:00.000Z')
+      assert.strictEqual(cal.toDate({ timeZone: 'Asia/Kathmandu' }).toISOString(), '2024-02-09T23:15:00.000Z')
+      assert.strictEqual(cal.toDate({ timeZone: '+05:45' }).toISOString(), '2024-02-09T23:15:00.000Z')
+      assert.strictEqual(cal.toDate({ timeZone: -5 }).toISOString(), '2024-02-10T10:00:00.000Z')
+    })
+
+    it('begins the day at midnight or a given hour', function () {
+      const cal = new CalendarTibetan(losar)
+      assert.strictEqual(cal.toDate({ timeZone: 'Asia/Kolkata', dayStart: 'midnight' }).toISOString(), '2024-02-09T18:30:00.000Z')
+      assert.strictEqual(cal.toDate({ timeZone: 0, dayStart: 6 }).toISOString(), '2024-02-10T06:00:00.000Z')
+    })
+
+    it('converts a point in time to the local civil day', function () {
+      // 3:00 in New York
+      const date = new Date('2024-02-10T08:00:00Z')
+      assert.deepStrictEqual(new CalendarTibetan().fromDate(date, { timeZone: 'America/New_York' }).get(), [17, 37, 12, false, 30, false])
+      assert.deepStrictEqual(new CalendarTibetan().fromDate(date, { timeZone: 'America/New_York', dayStart: 'midnight' }).get(), losar)
+      assert.deepStrictEqual(new CalendarTibetan().fromJD(2460350.5 + 8 / 24, { timeZone: -5, dayStart: 0 }).get(), losar)
+    })
+
+    it('takes the defaults from the constructor', function () {
+      const cal = new CalendarTibetan(losar, { timeZone: 'Europe/Berlin' })
+      assert.strictEqual(cal.toDate().toISOString(), '2024-02-10T04:00:00.000Z')
+      assert.strictEqual(cal.toDate({ dayStart: 'midnight' }).toISOString(), '2024-02-09T23:00:00.000Z')
+      assert.deepStrictEqual(new CalendarTibetan({ timeZone: 'Europe/Berlin' }).fromDate(cal.toDate()).get(), losar)
+    })
+
+    it('handles daylight saving time', function () {
+      // Saga Dawa Duchen 2024 in New York (EDT, UTC-4)
+      const cal = new CalendarTibetan(17, 38, 4, false, 15, false)
+      const date = cal.toDate({ timeZone: 'America/New_York' })
+      assert.strictEqual(date.toISOString(), '2024-05-23T09:00:00.000Z')
+      assert.deepStrictEqual(new CalendarTibetan().fromDate(date, { timeZone: 'America/New_York' }).get(), cal.get())
+    })
+
+    it('handles the first centuries and years BC', function () {
+      // 49-02-12 and 59 BC (-58) in UTC; Kolkata keeps local mean time (UTC+5:53:28)
+      const early = new CalendarTibetan().fromJD(1739000.5 + 3 / 24, { timeZone: 'UTC' })
+      assert.deepStrictEqual(early.get(), new CalendarTibetan().fromJD(1739000.5 + 3 / 24, { timeZone: 0 }).get())
+      assert.strictEqual(early.toDate({ timeZone: 'UTC' }).toISOString(), '0049-02-12T05:00:00.000Z')
+      assert.strictEqual(early.toDate({ timeZone: 'Asia/Kolkata' }).toISOString(), '0049-02-11T23:06:32.000Z')
+      const bc = new CalendarTibetan().fromJD(1700000.5 + 3 / 24, { timeZone: 'UTC' })
+      assert.deepStrictEqual(bc.get(), new CalendarTibetan().fromJD(1700000.5 + 3 / 24, { timeZone: 0 }).get())
+      assert.strictEqual(bc.toDate({ timeZone: 'Asia/Kolkata' }).toISOString(), '-000058-05-04T23:06:32.000Z')
+    })
+
+    it('keeps the tibetan date of a civil date', function () {
+      assert.deepStrictEqual(new CalendarTibetan({ timeZone: 'America/Los_Angeles' }).fromGregorian(2024, 2, 10).get(), losar)
+    })
+
+    it('throws on invalid timezone or day start', function () {
+      assert.throws(() => new CalendarTibetan({ timeZone: 'Mars/Olympus_Mons' }), RangeError)
+      assert.throws(() => new CalendarTibetan({ timeZone: 15 }), RangeError)
+      assert.throws(() => new CalendarTibetan({ timeZone: true }), TypeError)
+      assert.throws(() => new CalendarTibetan(losar).toDate({ dayStart: 'noon' }), RangeError)
+      assert.throws(() => new CalendarTibetan().fromDate(new Date(), { dayStart: 25 }), RangeError)
+    })
+  })
+
+  describe('range', function () {
+    it('yields every civil day with skipped and repeated days', function () {
+      const month = new CalendarTibetan(17, 26, 1, false, 1, false).getMonthDays()
+      const first = month.days[0].jdn
+      const last = month.days[month.days.length - 1].jdn
+      const days = [...CalendarTibetan.range(first, last)]
+      assert.deepStrictEqual(
+        days.map((cal) => [cal.day, cal.leapDay, cal.toJDN()]),
+        month.days.map(({ day, leapDay, jdn }) => [day, leapDay, jdn])
+      )
+      assert.ok(days.every((cal) => cal instanceof CalendarTibetan))
+    })
+
+    it('agrees with fromGregorian over several years', function () {
+      let count = 0
+      for (const cal of CalendarTibetan.range({ year: 2023, month: 1, day: 1 }, { year: 2026, month: 12, day: 31 })) {
+        const { year, month, day } = cal.toGregorian()
+        assert.deepStrictEqual(cal.get(), new CalendarTibetan().fromGregorian(year, month, day).get())
+        count++
+      }
+      assert.strictEqual(count, 365 * 4 + 1)
+    })
+
+    it('accepts calendar objects, Dates and JDNs', function () {
+      const start = new CalendarTibetan(17, 37, 12, false, 28, false)
+      const end = new Date('2024-02-11T12:00:00Z')
+      const days = [...CalendarTibetan.range(start, end)].map((cal) => cal.get())
+      // day 29 is skipped
+      assert.deepStrictEqual(days, [
+        [17, 37, 12, false, 28, false],
+        [17, 37, 12, false, 30, false],
+        [17, 38, 1, false, 1, false],
+        [17, 38, 1, false, 2, false]
+      ])
+      assert.strictEqual([...CalendarTibetan.range(2460351, 2460351)].length, 1)
+    })
+
+    it('passes the options to the calendar objects', function () {
+      const [cal] = CalendarTibetan.range(2460351, 2460351, { disambiguation: 'earlier' })
+      assert.strictEqual(cal._options.disambiguation, 'earlier')
+    })
+
+    it('yields nothing if the end precedes the start', function () {
+      assert.deepStrictEqual([...CalendarTibetan.range(2460351, 2460350)], [])
+    })
+
+    it('throws on unknown arguments', function () {
+      assert.throws(() => CalendarTibetan.range('2024-02-10', 2460351).next(), TypeError)
+    })
+  })
+
+  describe('toJDNMany and fromJDMany', function () {
+    // JDN 2400000 - 2480000 with a fixed step which hits every day of the month
+    const jdns = Array.from({ length: 8000 }, (_, i) => 2400000 + i * 10 + (i % 7))
+    // number of true dates computed by `fn`
+    const countTrueDates = (fn) => {
+      const proto = CalendarTibetan.prototype
+      const original = proto._getTrueDateParts
+      let count = 0
+      proto._getTrueDateParts = function (...args) {
+        count++
+        return original.apply(this, args)
+      }
+      try {
+        fn()
+      } finally {
+        proto._getTrueDateParts = original
+      }
+      return count
+    }
+
+    it('fromJDMany returns the same dates as fromJD', function () {
+      const jds = jdns.map((jdn, i) => jdn + (i % 4) / 4)
+      const cal = new CalendarTibetan()
+      assert.deepStrictEqual(
+        CalendarTibetan.fromJDMany(jds),
+        jds.map((jd) => cal.fromJD(jd).get())
+      )
+    })
+
+    it('fromJDMany applies timeZone and dayStart', function () {
+      const options = { timeZone: 'America/New_York', dayStart: 'midnight' }
+      const jds = jdns.slice(0, 500).map((jdn, i) => jdn + (i % 8) / 8)
+      const cal = new CalendarTibetan(options)
+      assert.deepStrictEqual(
+        CalendarTibetan.fromJDMany(jds, options),
+        jds.map((jd) => cal.fromJD(jd).get())
+      )
+    })
+
+    it('toJDNMany returns the same JDN as toJDN', function () {
+      const cal = new CalendarTibetan()
+      const dates = CalendarTibetan.fromJDMany(jdns)
+      // skipped days and days of the following month
+      dates.push([17, 37, 12, false, 29, false], [17, 38, 1, false, 31, false])
+      for (const disambiguation of ['earlier', 'later']) {
+        assert.deepStrictEqual(
+          CalendarTibetan.toJDNMany(dates, { disambiguation }),
+          dates.map((date) => cal.set(...date).toJDN({ disambiguation }))
+        )
+      }
+      assert.deepStrictEqual(CalendarTibetan.toJDNMany(dates.slice(0, 100)), jdns.slice(0, 100))
+    })
+
+    it('toJDNMany accepts calendar objects', function () {
+      const cal = new CalendarTibetan(17, 37, 12, false, 28, false)
+      assert.deepStrictEqual(CalendarTibetan.toJDNMany([cal]), [cal.toJDN()])
+    })
+
+    it('toJDNMany converts calendar objects of another variant', function () {
+      // 2024-02-01 is 12-21 in Bhutan and the leap day 12-22 in Phugpa, where 12-21 is the day before
+      const cal = new CalendarBhutanese().fromGregorian(2024, 2, 1)
+      assert.deepStrictEqual(cal.get(), [17, 37, 12, false, 21, false])
+      assert.deepStrictEqual(CalendarTibetan.toJDNMany([cal]), [cal.toJDN()])
+      assert.deepStrictEqual(CalendarTibetan.toJDNMany([cal.get()]), [cal.toJDN() - 1])
+    })
+
+    it('toJDNMany throws like toJDN', function () {
+      const dates = [[17, 38, 1, false, 2, false], [17, 37, 12, false, 29, false]]
+      assert.throws(() => CalendarTibetan.toJDNMany(dates, { disambiguation: 'reject' }), RangeError)
+    })
+
+    it('computes far fewer true dates than the scalar methods', function () {
+      // 20000 records on the days of 2000-2009
+      const records = CalendarTibetan.fromJDMany(Array.from({ length: 20000 }, (_, i) => 2451545 + (i * 37) % 3653))
+      const cal = new CalendarTibetan()
+      CalendarTibetan.clearCache()
+      const batch = countTrueDates(() => CalendarTibetan.toJDNMany(records))
+      const scalar = countTrueDates(() => records.forEach((date) => cal.set(...date).toJDN()))
+      assert.ok(batch * 10 < scalar, `batch ${batch}, scalar ${scalar}`)
+      // the tables are cached
+      assert.strictEqual(countTrueDates(() => CalendarTibetan.toJDNMany(records)), 0)
+    })
+
+    it('clears the cache', function () {
+      const dates = [[17, 38, 1, false, 1, false]]
+      CalendarTibetan.toJDNMany(dates)
+      assert.strictEqual(countTrueDates(() => CalendarTibetan.toJDNMany(dates)), 0)
+      CalendarTibetan.clearCache()
+      assert.ok(countTrueDates(() => CalendarTibetan.toJDNMany(dates)) > 0)
+    })
+  })
+
+  describe('toICS', function () {
+    const timestamp = new Date(Date.UTC(2024, 0, 1))
+    const cal = new CalendarTibetan()
+    const events = (ics) => ics.split('BEGIN:VEVENT\r\n').slice(1)
+      .map((event) => Object.fromEntries(event.replace(/\r\n /g, '').split('\r\n')
+        .filter((line) => line && line !== 'END:VEVENT' && line !== 'END:VCALENDAR')
+        .map((line) => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1)])))
+
+    it('labels every civil day of the Gregorian years', function () {
+      const ics = cal.toICS(2024, 2024, { timestamp })
+      assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\nPRODID:-//hnw//date-tibetan//EN\r\n'))
+      assert.ok(ics.endsWith('END:VEVENT\r\nEND:VCALENDAR\r\n'))
+      const days = events(ics)
+      assert.strictEqual(days.length, 366)
+      assert.deepStrictEqual(days[40], {
+        UID: '2460351-day-calendartibetan@date-tibetan',
+        DTSTAMP: '20240101T000000Z',
+        'DTSTART;VALUE=DATE': '20240210',
+        'DTEND;VALUE=DATE': '20240211',
+        SUMMARY: 'First month 1',
+        DESCRIPTION: '17-38-1-1',
+        CATEGORIES: 'TIBETAN-DATE',
+        TRANSP: 'TRANSPARENT'
+      })
+    })
+
+    it('labels leap months and leap days', function () {
+      const days = events(cal.toICS(2024, 2024, { timestamp }))
+      const leapMonth = days.find((e) => e['DTSTART;VALUE=DATE'] === '20240706')
+      assert.strictEqual(leapMonth.SUMMARY, 'Sixth month (leap) 1')
+      assert.strictEqual(leapMonth.DESCRIPTION, '17-38-6L-1')
+      const leapDay = days.find((e) => e.DESCRIPTION === '17-37-12-22L')
+      assert.strictEqual(leapDay.SUMMARY, 'Twelfth month 22 leap')
+    })
+
+    it('covers tibetan years', function () {
+      const days = events(cal.toICS(2024, 2024, { range: 'tibetan', timestamp }))
+      assert.strictEqual(days.length, cal.getYearInfo(2024).length)
+      assert.strictEqual(days[0].DESCRIPTION, '17-38-1-1')
+    })
+
+    it('adds month starts, leap months, skipped days and festivals', function () {
+      const options = { days: false, monthStarts: true, leapMonths: true, skippedDays: true, festivals: true, timestamp }
+      const list = events(cal.toICS(2024, 2024, options))
+      const byCategory = (category) => list.filter((e) => e.CATEGORIES === category)
+      assert.strictEqual(byCategory('TIBETAN-MONTH').length, 13)
+      assert.deepStrictEqual(byCategory('TIBETAN-LEAP-MONTH').map((e) => [e['DTSTART;VALUE=DATE'], e['DTEND;VALUE=DATE'], e.SUMMARY]), [
+        ['20240706', '20240805', 'Sixth month (leap)']
+      ])
+      const skipped = byCategory('TIBETAN-SKIPPED-DAY').find((e) => e.DESCRIPTION === '17-37-12-29')
+      assert.deepStrictEqual([skipped['DTSTART;VALUE=DATE'], skipped.SUMMARY], ['20240208', 'Twelfth month 29 skipped'])
+      assert.deepStrictEqual(byCategory('TIBETAN-FESTIVAL').map((e) => e['DTSTART;VALUE=DATE']), [
+        '20240210', '20240224', '20240523', '20240808', '20241122'
+      ])
+      assert.strictEqual(byCategory('TIBETAN-OBSERVANCE').length, 0)
+      assert.strictEqual(byCategory('TIBETAN-DATE').length, 0)
+    })
+
+    it('escapes and folds lines', function () {
+      const ics = cal.toICS(2024, 2024, { locale: 'bo', name: 'Tibetan; 2024, Phugpa', timestamp })
+      assert.ok(ics.includes('X-WR-CALNAME:Tibetan\\; 2024\\, Phugpa\r\n'))
+      for (const line of ics.split('\r\n')) {
+        assert.ok(Buffer.byteLength(line) <= 75, line)
+      }
+      // a summary of 24 characters of 3 octets each
+      const long = cal.toICS(2024, 2024, { summary: () => 'ཀ'.repeat(24), timestamp })
+      assert.ok(long.includes('SUMMARY:' + 'ཀ'.repeat(22) + '\r\n ' + 'ཀ'.repeat(2) + '\r\n'))
+      assert.strictEqual(events(ics)[40].SUMMARY, new CalendarTibetan(17, 38, 1, false, 1, false).format('MMMM D', 'bo'))
+    })
+
+    it('accepts a summary function', function () {
+      const days = events(cal.toICS(2024, 2024, { summary: (c) => c.format('D'), timestamp }))
+      assert.strictEqual(days[40].SUMMARY, '1')
+    })
+
+    it('throws on an unknown range', function () {
+      assert.throws(() => cal.toICS(2024, 2024, { range: 'julian' }), RangeError)
+    })
+  })
+
+  describe('compare and equals', function () {
+    // 17-37-12: day 5 and 29 are skipped, day 22 is doubled
+    const date = (day, leapDay = false) => new CalendarTibetan(17, 37, 12, false, day, leapDay)
+
+    it('orders by time with valueOf', function () {
+      assert.strictEqual(date(1).valueOf(), date(1).toJDN())
+      assert.strictEqual(date(22, true).valueOf(), date(22).valueOf() - 1)
+      // a skipped day lies within the preceding civil day
+      assert.strictEqual(date(5).valueOf(), date(4).valueOf() + 0.5)
+      assert.ok(date(4) < date(5) && date(5) < date(6))
+      assert.ok(date(21) < date(22, true) && date(22, true) < date(22))
+    })
+
+    it('compares dates', function () {
+      assert.strictEqual(date(1).compare(date(2)), -1)
+      assert.strictEqual(date(2).compare(date(1)), 1)
+      assert.strictEqual(date(2).compare(date(2)), 0)
+      assert.strictEqual(date(22, true).compare(date(22)), -1)
+      assert.ok(date(28).isBefore(date(29)))
+      assert.ok(date(30).isAfter(date(29)))
+      assert.ok(!date(30).isAfter(date(30)))
+    })
+
+    it('orders leap months', function () {
+      // the leap month precedes the regular month under the Phugpa rule
+      const leap = new CalendarTibetan(17, 38, 6, true, 30, false)
+      const regular = new CalendarTibetan(17, 38, 6, false, 1, false)
+      assert.ok(leap.isBefore(regular))
+      assert.ok(new CalendarTibetan(17, 38, 5, false, 30, false).isBefore(leap))
+    })
+
+    it('sorts with the static comparator', function () {
+      const dates = [date(22), date(5), new CalendarTibetan(17, 38, 1, false, 1, false), date(22, true), date(4)]
+      assert.deepStrictEqual(dates.sort(CalendarTibetan.compare).map((cal) => [cal.month, cal.day, cal.leapDay]), [
+        [12, 4, false], [12, 5, false], [12, 22, true], [12, 22, false], [1, 1, false]
+      ])
+    })
+
+    it('compares across calendar variants by civil day', function () {
+      const mongolian = new CalendarMongolian().fromGregorian(2024, 2, 10)
+      const tibetan = new CalendarTibetan().fromGregorian(2024, 2, 10)
+      assert.strictEqual(tibetan.compare(mongolian), 0)
+      assert.ok(!tibetan.equals(mongolian))
+      assert.ok(tibetan.isBefore(new CalendarMongolian().fromGregorian(2024, 2, 11)))
+    })
+
+    it('checks equality', function () {
+      assert.ok(date(22, true).equals(date(22, true)))
+      assert.ok(!date(22, true).equals(date(22)))
+      assert.ok(!date(22).equals(date(22).toJDN()))
+      assert.ok(!date(22).equals(null))
+    })
+  })
+
+  describe('toJSON and toString', function () {
+    const leap = new CalendarTibetan(17, 38, 6, true, 19, false)
+
+    it('serializes to JSON with the variant', function () {
+      assert.deepStrictEqual(leap.toJSON(), {
+        calendar: 'phugpa', cycle: 17, year: 38, month: 6, leapMonth: true, day: 19, leapDay: false
+      })
+      assert.strictEqual(JSON.stringify({ date: new CalendarTibetan(17, 37, 12, false, 22, true) }),
+        '{"date":{"calendar":"phugpa","cycle":17,"year":37,"month":12,"leapMonth":false,"day":22,"leapDay":true}}')
+      assert.strictEqual(new CalendarMongolian(17, 38, 1, false, 1, false).toJSON().calendar, 'mongolian')
+    })
+
+    it('formats the canonical string', function () {
+      assert.strictEqual(leap.toString(), 'phugpa:17-38-06L-19')
+      assert.strictEqual(`${new CalendarTibetan(17, 37, 12, false, 22, true)}`, 'phugpa:17-37-12-22L')
+      assert.strictEqual(String(new CalendarTibetan(-1, 5, 1, false, 3, false)), 'phugpa:-1-05-01-03')
+    })
+
+    it('does not throw on invalid dates', function () {
+      const unset = new CalendarTibetan()
+      assert.strictEqual(String(unset), 'Invalid Tibetan date')
+      assert.strictEqual(`${unset}`, 'Invalid Tibetan date')
+      assert.strictEqual(JSON.stringify({ unset }), '{"unset":null}')
+      const outOfRange = new CalendarTibetan(17, 61, 1, false, 1, false)
+      assert.strictEqual(outOfRange.toJSON(), null)
+      assert.strictEqual(outOfRange.toString(), 'Invalid Tibetan date')
+      assert.throws(() => CalendarTibetan.fromString(outOfRange.toString()), RangeError)
+      assert.throws(() => CalendarTibetan.fromJSON(outOfRange.toJSON()), TypeError)
+    })
+
+    it('round-trips all days of all variants', function () {
+      for (const Calendar of [CalendarTibetan, CalendarMongolian]) {
+        const start = new Calendar().fromGregorian(2023, 1, 1)
+        const end = new Calendar().fromGregorian(2025, 12, 31)
+        for (const cal of Calendar.range(start, end)) {
+          assert.deepStrictEqual(Calendar.fromJSON(JSON.parse(JSON.stringify(cal))).get(), cal.get())
+          assert.deepStrictEqual(Calendar.fromString(cal.toString()).get(), cal.get())
+        }
+      }
+    })
+
+    it('passes options', function () {
+      const cal = CalendarTibetan.fromString('phugpa:17-37-12-05', { disambiguation: 'earlier' })
+      assert.strictEqual(cal.toJDN(), 2460325)
+      assert.throws(() => CalendarTibetan.fromString('phugpa:17-37-12-05', { strict: true }), RangeError)
+    })
+
+    it('rejects other variants and invalid input', function () {
+      assert.throws(() => CalendarTibetan.fromString('mongolian:17-38-01-01'), RangeError)
+      assert.throws(() => CalendarMongolian.fromJSON(leap.toJSON()), RangeError)
+      assert.throws(() => CalendarTibetan.fromString('phugpa:17-38-6L-19'), RangeError)
+      assert.throws(() => CalendarTibetan.fromString('phugpa:017-38-06L-19'), RangeError)
+      assert.throws(() => CalendarTibetan.fromString('phugpa:17-38-13-19'), RangeError)
+      assert.throws(() => CalendarTibetan.fromString('Phugpa:17-38-06-19'), RangeError)
+      assert.throws(() => CalendarTibetan.fromJSON(null), TypeError)
+      assert.throws(() => CalendarTibetan.fromJSON({ ...leap.toJSON(), leapMonth: 1 }), TypeError)
+      assert.throws(() => CalendarTibetan.fromJSON({ ...leap.toJSON(), day: '19' }), TypeError)
+      assert.throws(() => CalendarTibetan.fromJSON({ ...leap.toJSON(), calendar: undefined }), TypeError)
+    })
+  })
+
+  describe('convertTo and getDisagreements', function () {
+    it('converts the civil day to another variant', function () {
+      const leap = new CalendarTibetan(17, 38, 6, true, 1, false)
+      const mongolian = leap.convertTo(CalendarMongolian)
+      assert.ok(mongolian instanceof CalendarMongolian)
+      assert.deepStrictEqual(mongolian.get(), [17, 38, 6, false, 1, false])
+      assert.strictEqual(mongolian.toJDN(), leap.toJDN())
+      assert.ok(mongolian.convertTo(CalendarTibetan).equals(leap))
+      assert.deepStrictEqual(new CalendarTibetan(17, 38, 1, false, 1, false).convertTo(CalendarBhutanese).get(), [17, 38, 1, false, 1, false])
+    })
+
+    it('round-trips every civil day', function () {
+      for (const cal of CalendarTibetan.range({ year: 2023, month: 1, day: 1 }, { year: 2025, month: 12, day: 31 })) {
+        for (const Calendar of [CalendarMongolian, CalendarBhutanese]) {
+          const other = cal.convertTo(Calendar)
+          assert.strictEqual(other.toJDN(), cal.toJDN())
+          assert.deepStrictEqual(other.convertTo(CalendarTibetan).get(), cal.get())
+        }
+      }
+    })
+
+    it('applies the disambiguation to a skipped day', function () {
+      const skipped = new CalendarTibetan(17, 37, 12, false, 5, false)
+      assert.deepStrictEqual(skipped.convertTo(CalendarMongolian).get(), [17, 37, 12, false, 6, false])
+      assert.deepStrictEqual(skipped.convertTo(CalendarMongolian, { disambiguation: 'earlier' }).get(), [17, 37, 12, false, 4, false])
+      assert.throws(() => skipped.convertTo(CalendarMongolian, { disambiguation: 'reject' }), RangeError)
+    })
+
+    it('throws on an invalid class', function () {
+      assert.throws(() => new CalendarTibetan(17, 38, 1, false, 1, false).convertTo(Date), TypeError)
+      assert.throws(() => CalendarTibetan.getDisagreements('mongolian', 2460351, 2460352), TypeError)
+    })
+
+    it('reports the days on which the variants disagree', function () {
+      const result = CalendarTibetan.getDisagreements(CalendarMongolian, { year: 2024, month: 7, day: 1 }, { year: 2024, month: 7, day: 10 })
+      assert.deepStrictEqual(result.map((r) => r.gregorian.day), [4, 6, 7, 8, 9, 10])
+      assert.deepStrictEqual(result.map((r) => r.fields), [
+        ['day'], ['leapMonth'], ['leapMonth'], ['leapMonth', 'leapDay'], ['leapMonth', 'day', 'leapDay'], ['leapMonth']
+      ])
+      const first = result[0]
+      assert.strictEqual(first.jdn, 2460496)
+      assert.deepStrictEqual(first.gregorian, { year: 2024, month: 7, day: 4 })
+      assert.deepStrictEqual(first.date.get(), [17, 38, 5, false, 29, false])
+      assert.deepStrictEqual(first.other.get(), [17, 38, 5, false, 28, false])
+      assert.ok(first.other instanceof CalendarMongolian)
+    })
+
+    it('reports nothing for the same variant', function () {
+      assert.deepStrictEqual(CalendarTibetan.getDisagreements(CalendarTibetan, 2460000, 2461000), [])
+    })
+  })
+
+  describe('getMoonPhases', function () {
+    const minutes = (jd, iso) => Math.abs(jd - julian.DateToJD(new Date(iso))) * 24 * 60
+
+    it('compares the month with the astronomical moon', function () {
+      const [newMoon, fullMoon] = new CalendarTibetan(17, 38, 1, false, 10, false).getMoonPhases()
+      assert.deepStrictEqual(
+        [newMoon.phase, newMoon.cycle, newMoon.year, newMoon.month, newMoon.leapMonth, newMoon.jdn],
+        ['new', 17, 38, 1, false, 2460350]
+      )
+      assert.ok(minutes(newMoon.astronomicalJd, '2024-02-09T22:59Z') < 1)
+      assert.ok(minutes(newMoon.jd, '2024-02-09T19:54Z') < 1)
+      assert.strictEqual(newMoon.offset, (newMoon.jd - newMoon.astronomicalJd) * 24)
+      assert.ok(newMoon.offset > -3.2 && newMoon.offset < -3)
+      assert.strictEqual(fullMoon.phase, 'full')
+      const day15 = new CalendarTibetan(17, 38, 1, false, 15, false)
+      assert.strictEqual(fullMoon.trueDate, day15.getTrueDateParts().trueDate)
+      assert.ok(minutes(fullMoon.astronomicalJd, '2024-02-24T12:30Z') < 1)
+    })
+
+    it('lists the moons of a range of days', function () {
+      for (const Calendar of [CalendarTibetan, CalendarMongolian, CalendarBhutanese]) {
+        const phases = Calendar.getMoonPhases({ year: 2024, month: 1, day: 1 }, { year: 2024, month: 12, day: 31 })
+        assert.strictEqual(phases.length, 25)
+        phases.forEach((p, i) => {
+          assert.strictEqual(p.phase, i % 2 ? 'full' : 'new')
+          assert.ok(Math.abs(p.offset) < 12)
+          if (i > 0) {
+            assert.ok(p.jd > phases[i - 1].jd)
+          }
+        })
+      }
+    })
+
+    it('selects the moons by civil day', function () {
+      assert.deepStrictEqual(CalendarTibetan.getMoonPhases(2460350, 2460350).map((p) => [p.phase, p.month]), [['new', 1]])
+      assert.deepStrictEqual(CalendarTibetan.getMoonPhases(2460351, 2460364), [])
+      assert.throws(() => CalendarTibetan.getMoonPhases('2024-01-01', 2460351), TypeError)
+    })
+  })
 })
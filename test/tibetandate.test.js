@@ -0,0 +1,153 @@
+import assert from 'assert'
+import { CalendarTibetan, CalendarMongolian, CalendarBhutanese, TibetanDate } from '../src/index.js'
+
+describe('#TibetanDate', function () {
+  const losar = TibetanDate.of(17, 38, 1, false, 1, false)
+
+  describe('construction', function () {
+    it('creates a date from its parts', function () {
+      assert.deepStrictEqual(losar.get(), [17, 38, 1, false, 1, false])
+      assert.deepStrictEqual(new TibetanDate(17, 38, 1, undefined, 1).get(), [17, 38, 1, false, 1, false])
+      assert.strictEqual(losar.calendar, CalendarTibetan)
+      assert.ok(losar instanceof TibetanDate)
+    })
+
+    it('converts from Gregorian dates, JD and Dates', function () {
+      assert.deepStrictEqual(TibetanDate.fromGregorian(2024, 2, 10).get(), losar.get())
+      assert.deepStrictEqual(TibetanDate.fromJD(2460351.3).get(), losar.get())
+      assert.deepStrictEqual(TibetanDate.fromDate(new Date('2024-02-10T12:00:00Z')).get(), losar.get())
+      // JD 2460350.3 is after midnight in Lhasa, but before daybreak
+      assert.strictEqual(TibetanDate.fromJD(2460350.3).day, 30)
+      assert.strictEqual(TibetanDate.fromJD(2460350.3, { dayStart: 'midnight' }).day, 1)
+    })
+
+    it('selects the calendar variant', function () {
+      const date = TibetanDate.fromGregorian(2024, 10, 3, { calendar: CalendarBhutanese })
+      assert.strictEqual(date.calendar, CalendarBhutanese)
+      assert.deepStrictEqual(date.get(), [17, 38, 8, true, 1, false])
+      assert.strictEqual(date.toCalendar().constructor, CalendarBhutanese)
+      assert.throws(() => TibetanDate.of(17, 38, 1, false, 1, false, { calendar: Date }), TypeError)
+    })
+
+    it('copies a calendar object', function () {
+      const cal = new CalendarMongolian(17, 38, 1, false, 1, false, { disambiguation: 'earlier' })
+      const date = TibetanDate.fromCalendar(cal)
+      cal.addDays(1)
+      assert.deepStrictEqual(date.get(), [17, 38, 1, false, 1, false])
+      assert.strictEqual(date.calendar, CalendarMongolian)
+      assert.strictEqual(date.options.disambiguation, 'earlier')
+    })
+
+    it('validates with the option strict', function () {
+      assert.strictEqual(TibetanDate.of(17, 37, 12, false, 29, false).isValid(), false)
+      assert.throws(() => TibetanDate.of(17, 37, 12, false, 29, false, { strict: true }), RangeError)
+    })
+  })
+
+  describe('immutability', function () {
+    it('freezes the fields', function () {
+      assert.ok(Object.isFrozen(losar))
+      assert.ok(Object.isFrozen(losar.options))
+      assert.throws(() => { losar.day = 2 }, TypeError)
+      assert.strictEqual(losar.day, 1)
+    })
+
+    it('returns new instances from with()', function () {
+      const date = losar.with({ month: 6, leapMonth: true, day: 15 })
+      assert.deepStrictEqual(date.get(), [17, 38, 6, true, 15, false])
+      assert.deepStrictEqual(losar.get(), [17, 38, 1, false, 1, false])
+      assert.deepStrictEqual(losar.with({}).get(), losar.get())
+      assert.throws(() => losar.with({ hour: 1 }), TypeError)
+    })
+
+    it('keeps the calendar and the options in with()', function () {
+      const date = TibetanDate.of(17, 38, 1, false, 1, false, { calendar: CalendarBhutanese, strict: true })
+      assert.strictEqual(date.with({ day: 2 }).calendar, CalendarBhutanese)
+      assert.throws(() => date.with({ month: 6, leapMonth: true }), RangeError)
+    })
+
+    it('returns new instances from arithmetic', function () {
+      assert.deepStrictEqual(losar.addDays(-1).get(), [17, 37, 12, false, 30, false])
+      assert.deepStrictEqual(losar.addLunarDays(30).get(), [17, 38, 2, false, 1, false])
+      assert.deepStrictEqual(losar.addMonths(5).get(), [17, 38, 6, true, 1, false])
+      assert.deepStrictEqual(losar.addYears(1).get(), [17, 39, 1, false, 1, false])
+      assert.deepStrictEqual(losar.get(), [17, 38, 1, false, 1, false])
+      assert.deepStrictEqual(losar.diff(losar.addDays(30)).days, 30)
+      assert.deepStrictEqual(losar.diff(new CalendarTibetan(17, 38, 2, false, 1, false)).months, 1)
+    })
+
+    it('does not share calendar objects', function () {
+      const cal = losar.toCalendar()
+      cal.addDays(10)
+      assert.deepStrictEqual(losar.get(), [17, 38, 1, false, 1, false])
+      assert.notStrictEqual(losar.toCalendar(), losar.toCalendar())
+    })
+  })
+
+  describe('conversions', function () {
+    it('delegates to the calendar object', function () {
+      assert.strictEqual(losar.toJDN(), 2460351)
+      assert.deepStrictEqual(losar.toGregorian(), { year: 2024, month: 2, day: 10 })
+      assert.strictEqual(losar.toDate({ timeZone: 'UTC', dayStart: 'midnight' }).toISOString(), '2024-02-10T00:00:00.000Z')
+      assert.strictEqual(losar.format('YYYY MMMM D'), '2024 First month 1')
+      assert.strictEqual(losar.getYearName().animal, 'Dragon')
+      assert.strictEqual(losar.getMonthName('en', 'indian').name, new CalendarTibetan(17, 38, 1, false, 1, false).getMonthName('en', 'indian').name)
+    })
+
+    it('converts to another variant', function () {
+      const date = losar.with({ month: 6, leapMonth: true }).convertTo(CalendarMongolian)
+      assert.strictEqual(date.calendar, CalendarMongolian)
+      assert.deepStrictEqual(date.get(), [17, 38, 6, false, 1, false])
+      assert.ok(date instanceof TibetanDate)
+    })
+
+    it('applies the options', function () {
+      const skipped = TibetanDate.of(17, 37, 12, false, 29, false, { disambiguation: 'earlier' })
+      assert.strictEqual(skipped.toJDN(), 2460349)
+      assert.strictEqual(skipped.toJDN({ disambiguation: 'later' }), 2460350)
+    })
+  })
+
+  describe('comparison', function () {
+    it('compares and sorts dates', function () {
+      const dates = [losar.addDays(1), losar, losar.addDays(-1)]
+      assert.deepStrictEqual(dates.sort(TibetanDate.compare).map((date) => date.day), [30, 1, 2])
+      assert.strictEqual(losar.compare(losar.addDays(1)), -1)
+      assert.ok(losar.isBefore(losar.addDays(1)))
+      assert.ok(losar.isAfter(new CalendarTibetan(17, 37, 12, false, 30, false)))
+      assert.strictEqual(losar.valueOf(), 2460351)
+      assert.ok(losar < losar.addDays(1))
+    })
+
+    it('checks equality', function () {
+      assert.ok(losar.equals(TibetanDate.fromGregorian(2024, 2, 10)))
+      assert.ok(!losar.equals(losar.with({ day: 2 })))
+      assert.ok(!losar.equals(TibetanDate.fromGregorian(2024, 2, 10, { calendar: CalendarMongolian })))
+      assert.ok(!losar.equals(losar.toCalendar()))
+    })
+  })
+
+  describe('serialization', function () {
+    it('round-trips through JSON and the canonical string', function () {
+      assert.strictEqual(JSON.stringify(losar), '{"calendar":"phugpa","cycle":17,"year":38,"month":1,"leapMonth":false,"day":1,"leapDay":false}')
+      assert.strictEqual(losar.toString(), 'phugpa:17-38-01-01')
+      assert.ok(TibetanDate.fromJSON(JSON.parse(JSON.stringify(losar))).equals(losar))
+      assert.ok(TibetanDate.fromString(`${losar}`).equals(losar))
+    })
+
+    it('selects the calendar variant', function () {
+      const date = TibetanDate.fromString('bhutanese:17-38-08L-01')
+      assert.strictEqual(date.calendar, CalendarBhutanese)
+      assert.deepStrictEqual(date.get(), [17, 38, 8, true, 1, false])
+      assert.strictEqual(TibetanDate.fromJSON({ ...losar.toJSON(), calendar: 'mongolian' }).calendar, CalendarMongolian)
+      assert.throws(() => TibetanDate.fromString('tsurphu:17-38-01-01'), RangeError)
+      assert.throws(() => TibetanDate.fromString('phugpa:17-38-01-01', { calendar: CalendarMongolian }), RangeError)
+    })
+
+    it('passes options', function () {
+      const date = TibetanDate.fromString('phugpa:17-37-12-29', { disambiguation: 'earlier' })
+      assert.strictEqual(date.options.disambiguation, 'earlier')
+      assert.strictEqual(date.toJDN(), 2460349)
+    })
+  })
+})